@@ -24,6 +24,13 @@ zip -r "$ZIP_NAME" extension.js \
     metadata.json \
     prefs.js \
     windowMenu.js \
+    monitors.js \
+    snapshots.js \
+    matching.js \
+    patterns.js \
+    history.js \
+    diagnostics.js \
+    windowPicker.js \
     schemas/org.gnome.shell.extensions.deja-window.gschema.xml \
     icons/deja-window-symbolic.png \
     icons/globe-symbolic.svg
@@ -0,0 +1,44 @@
+// The restore diagnostics (restore-diagnostics key): how the latest restore of
+// each window went, recorded by the extension once the window has settled and
+// listed by prefs.js; the window menu shows a window's own. Like history.js,
+// shared with prefs, so nothing here may import a shell-only module.
+//
+// Format: [{ identity, slot, wm_class, title, time, problems: [...],
+// target: { x, y, width, height } | null, actual: { ... } | null }, ...],
+// newest first, time in Unix seconds. `target` is the frame the restore
+// applied (null when it left the window maximized, tiled or fullscreen) and
+// `actual` the frame found when checking.
+
+// Entries kept, one per identity and slot.
+export const MAX_DIAGNOSTICS = 50;
+
+// What can go wrong, most telling first. No problem at all means the restore
+// was applied as saved.
+export const RESTORE_PROBLEMS = {
+    'monitor-missing': 'Its monitor isn’t connected',
+    'workspace-missing': 'Its workspace doesn’t exist',
+    'clamped': 'Saved position was off-screen, centered instead',
+    'overridden': 'The app moved or resized it afterwards',
+};
+
+export function parseDiagnostics(json) {
+    try {
+        const list = JSON.parse(json);
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// Adds an entry, replacing the one of the same window slot if any.
+export function recordDiagnostic(list, entry) {
+    const kept = list.filter(e => e.identity !== entry.identity || e.slot !== entry.slot);
+    return [entry, ...kept].slice(0, MAX_DIAGNOSTICS);
+}
+
+// One line saying how a restore went.
+export function describeRestoreResult(entry) {
+    const problems = Object.keys(RESTORE_PROBLEMS).filter(problem => entry.problems?.includes(problem));
+    if (problems.length === 0) return 'Applied as saved';
+    return problems.map(problem => RESTORE_PROBLEMS[problem]).join('; ');
+}
@@ -7,6 +7,13 @@ import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import { DejaWindowMenu } from './windowMenu.js';
+import { MonitorTracker, nearestLayout, sameMonitorId } from './monitors.js';
+import { LayoutSnapshots } from './snapshots.js';
+import { appIds, configMatches, stateKey, windowFacts } from './matching.js';
+import { ruleKey } from './patterns.js';
+import { WindowPicker } from './windowPicker.js';
+import { MAX_CLASSES, parseHistory, pruneHistory, recordWindow } from './history.js';
+import { parseDiagnostics, recordDiagnostic } from './diagnostics.js';
 
 const DEBUG = false;
 
@@ -23,21 +30,239 @@ const CAPTURE_ALL_FLAGS = {
     restore_size: true,
     restore_pos: true,
     restore_maximized: true,
+    restore_tiled: true,
+    restore_fullscreen: true,
     restore_workspace: true,
     restore_minimized: true,
     restore_above: true,
     restore_sticky: true
 };
 
+// The restore_* flags of on/off window states (maximized, fullscreen,
+// minimized, always on top, on all workspaces) take one of four modes: true
+// remembers the last value, false ignores the state, and 'on' / 'off' force it
+// whatever the window was closed in. A forced state is never saved — only
+// `true` is. Returns the value restore should give the state, or undefined to
+// leave it alone; `saved` is the saved value, used in "remember" mode.
+function restoredValue(config, key, saved) {
+    const mode = config[key];
+    if (mode === 'on') return true;
+    if (mode === 'off') return false;
+    return mode === true ? saved : undefined;
+}
+
 // Meta.Window.maximize()/unmaximize() took a maximize-direction flags argument
 // up to GNOME 48 and take none from GNOME 49 on, where that Meta enum is gone —
 // so it must never be named here, only its numeric value (horizontal | vertical).
 // Which form to use is decided per call from the method's arity, since a single
 // zip serves the whole 46–50 range declared in metadata.json.
+const MAXIMIZE_HORIZONTAL = 1;
+const MAXIMIZE_VERTICAL = 2;
 const MAXIMIZE_BOTH = 3;
 
-function maximizeArgs(method) {
-    return typeof method === 'function' && method.length > 0 ? [MAXIMIZE_BOTH] : [];
+function maximizeArgs(method, directions = MAXIMIZE_BOTH) {
+    return typeof method === 'function' && method.length > 0 ? [directions] : [];
+}
+
+// A half-screen tile's frame may be off from exactly half the work area by a
+// few pixels (odd widths, client-side decorations rounding).
+const TILE_TOLERANCE = 4;
+
+// A saved record holds one slot per concurrently open window of an identity:
+// the first window keeps its fields directly on the record (the original
+// single-window format, so existing states keep working), every further one
+// gets its own entry in record.instances. Capped so an app that opens dozens
+// of windows doesn't grow window-app-states without bound: windows past the
+// cap all save into and restore from the last slot, offset by avoid_overlap.
+const MAX_INSTANCE_SLOTS = 8;
+
+// position_mode 'anchored': a window whose distances to both edges of the work
+// area differ by less than this fraction of its width/height counts as centered
+// on that axis, rather than anchored to whichever edge is a few pixels nearer.
+const ANCHOR_CENTER_TOLERANCE = 0.02;
+
+// Maps one axis of a saved geometry from the work area it was saved on to
+// another one. 'relative' keeps the position (and, with scaleSize, the size) as
+// the same fraction of the work area; 'anchored' keeps the distance to the
+// nearest edge — or stays centered — and only shrinks the size to fit.
+function adaptAxis(mode, pos, savedSize, size, fromStart, fromSize, toStart, toSize, scaleSize) {
+    if (mode === 'relative') {
+        return [
+            Math.round(toStart + (pos - fromStart) / fromSize * toSize),
+            scaleSize ? Math.round(savedSize / fromSize * toSize) : size,
+        ];
+    }
+
+    const newSize = Math.min(size, toSize);
+    const before = pos - fromStart;
+    const after = fromStart + fromSize - (pos + savedSize);
+    if (Math.abs(before - after) <= fromSize * ANCHOR_CENTER_TOLERANCE)
+        return [Math.round(toStart + (toSize - newSize) / 2), newSize];
+    return before < after
+        ? [toStart + before, newSize]
+        : [toStart + toSize - after - newSize, newSize];
+}
+
+// Re-derives a saved position/size for the given work area when the rule
+// stores them resolution-independently (position_mode 'relative' or
+// 'anchored'), so a layout saved on a 4K monitor still makes sense at 1080p or
+// after a scaling/panel change. Needs the work area the state was saved
+// against; without it (or in the default 'absolute' mode) the saved values
+// are returned as they are. `width`/`height` are the size restore would
+// otherwise apply (saved or current), `scaleSize` whether that's the saved
+// one: the size adapts with restore_size alone, without any position.
+function adaptToWorkArea(mode, state, workArea, width, height, scaleSize) {
+    const from = state.work_area;
+    const geometry = { x: state.x, y: state.y, width, height };
+    if ((mode !== 'relative' && mode !== 'anchored') || !from || from.width <= 0 || from.height <= 0)
+        return geometry;
+    if (state.x === undefined || state.y === undefined) {
+        if (mode === 'relative' && scaleSize) {
+            geometry.width = Math.round(width / from.width * workArea.width);
+            geometry.height = Math.round(height / from.height * workArea.height);
+        } else if (mode === 'anchored') {
+            geometry.width = Math.min(width, workArea.width);
+            geometry.height = Math.min(height, workArea.height);
+        }
+        return geometry;
+    }
+
+    [geometry.x, geometry.width] = adaptAxis(mode, state.x, state.width ?? width, width,
+        from.x, from.width, workArea.x, workArea.width, scaleSize);
+    [geometry.y, geometry.height] = adaptAxis(mode, state.y, state.height ?? height, height,
+        from.y, from.height, workArea.y, workArea.height, scaleSize);
+    return geometry;
+}
+
+// What a window handle remembers of the rule it was bound under, to tell a
+// new key of the same state_key template from another rule taking over.
+function templateOf(config) {
+    if (!config.state_key) return null;
+    return { id: config.id, key: ruleKey(config), match_mode: config.match_mode, state_key: config.state_key };
+}
+
+// The restore_* options a rule's fixed_geometry stands in for: the frame, and
+// the states that would cover it. Workspace, minimized, above and sticky are
+// still saved and restored as usual.
+const GEOMETRY_OPTIONS = ['restore_size', 'restore_pos', 'restore_maximized', 'restore_tiled', 'restore_fullscreen'];
+
+// A rule as far as saving goes: without the options its fixed_geometry, if
+// any, stands in for.
+function savedOptions(config) {
+    if (!config.fixed_geometry) return config;
+    const options = { ...config };
+    for (const key of GEOMETRY_OPTIONS) options[key] = false;
+    return options;
+}
+
+// The frame a rule's fixed_geometry puts a window in, within the work area of
+// its monitor. By `placement`: 'exact' takes x/y (from the work area's
+// top-left corner) and width/height, 'centered' only width/height, 'left',
+// 'right', 'top' and 'bottom' are that half of the work area and 'maximized'
+// all of it. Being relative to the work area, the same rule fits any machine.
+function fixedGeometryRect(fixed, area) {
+    const width = Math.min(fixed.width || area.width, area.width);
+    const height = Math.min(fixed.height || area.height, area.height);
+    const halfWidth = Math.floor(area.width / 2);
+    const halfHeight = Math.floor(area.height / 2);
+
+    switch (fixed.placement) {
+    case 'left':
+        return { x: area.x, y: area.y, width: halfWidth, height: area.height };
+    case 'right':
+        return { x: area.x + area.width - halfWidth, y: area.y, width: halfWidth, height: area.height };
+    case 'top':
+        return { x: area.x, y: area.y, width: area.width, height: halfHeight };
+    case 'bottom':
+        return { x: area.x, y: area.y + area.height - halfHeight, width: area.width, height: halfHeight };
+    case 'maximized':
+        return { x: area.x, y: area.y, width: area.width, height: area.height };
+    case 'centered':
+        return {
+            x: area.x + Math.round((area.width - width) / 2),
+            y: area.y + Math.round((area.height - height) / 2),
+            width, height,
+        };
+    default:
+        return { x: area.x + (fixed.x || 0), y: area.y + (fixed.y || 0), width, height };
+    }
+}
+
+// How many times enforce_ms puts back a window that keeps moving or resizing
+// itself, before leaving it be: past that, the app isn't going to give up.
+const MAX_ENFORCE_ATTEMPTS = 10;
+
+// How long after a restore (and after any enforce_ms hold) its result is
+// checked, giving the app time to have its say; and how far off, in pixels,
+// the frame may then be from the one applied before that counts as the app
+// overriding it (client-side decorations and size hints round a little).
+const VERIFY_DELAY_MS = 1500;
+const VERIFY_TOLERANCE = 4;
+
+// Restore results are written to restore-diagnostics in one batch this long
+// after the first of them, so a session restore opening dozens of windows
+// rewrites the key (and wakes an open Preferences) once, not per window.
+// Windows seen are batched into window-history the same way.
+const DIAGNOSTICS_WRITE_DELAY_MS = 2000;
+const HISTORY_WRITE_DELAY_MS = 2000;
+
+// Whether a window frame is still the one applied, within VERIFY_TOLERANCE.
+function matchesFrame(frame, applied) {
+    return ['x', 'y', 'width', 'height'].every(key => Math.abs(frame[key] - applied[key]) <= VERIFY_TOLERANCE);
+}
+
+// How long after a monitor configuration change window moves are ignored for
+// saving: Mutter evacuates windows off an unplugged monitor (and may shuffle
+// them again as the new layout settles), and those positions aren't the user's.
+const MONITOR_SETTLE_MS = 2000;
+
+// A record saved under a state_key template (see stateKey) also names the
+// rule it belongs to, by ruleKey, in record.rule: its key alone doesn't tell,
+// and the Saved States page in Preferences needs to know what is orphaned.
+const RECORD_META_KEYS = ['instances', 'layouts', 'rule'];
+
+// Returns the saved state of a slot, or null when that slot has never been saved.
+function instanceState(record, slot) {
+    if (!record) return null;
+    slot = Math.min(slot, MAX_INSTANCE_SLOTS - 1);
+    const state = slot === 0 ? record : record.instances?.[slot - 1];
+    return state && Object.keys(state).some(key => !RECORD_META_KEYS.includes(key)) ? state : null;
+}
+
+// On top of that, a record keeps one profile (slots included) per monitor
+// layout in record.layouts, keyed by MonitorTracker.layoutSignature(), so
+// undocking doesn't overwrite the docked layout. The record's own fields are
+// the profile used when the layout can't be told (and what states saved
+// before profiles existed look like).
+function layoutProfile(record, signature) {
+    const layouts = record.layouts || {};
+    if (!signature || Object.keys(layouts).length === 0) return record;
+    if (layouts[signature]) return layouts[signature];
+
+    // A layout never seen before starts from the closest one that was.
+    return layouts[nearestLayout(signature, Object.keys(layouts))];
+}
+
+// Returns the (mutable) profile of a layout, seeding a new one with a copy of
+// the profile it would have been restored from, so the first save on a new
+// layout doesn't leave it with only the few fields that save happened to write.
+function ensureLayoutProfile(record, signature) {
+    if (!signature) return record;
+    if (!record.layouts) record.layouts = {};
+    if (!record.layouts[signature]) {
+        const { layouts: _layouts, rule: _rule, ...seed } = layoutProfile(record, signature);
+        record.layouts[signature] = JSON.parse(JSON.stringify(seed));
+    }
+    return record.layouts[signature];
+}
+
+// Returns the (mutable) state object of a slot, creating it and any gap before it.
+function ensureInstanceState(record, slot) {
+    slot = Math.min(slot, MAX_INSTANCE_SLOTS - 1);
+    if (slot === 0) return record;
+    if (!Array.isArray(record.instances)) record.instances = [];
+    while (record.instances.length < slot) record.instances.push({});
+    return record.instances[slot - 1];
 }
 
 /**
@@ -45,13 +270,14 @@ function maximizeArgs(method) {
  * The main class for the "Deja Window" extension.
  * This extension allows users to manage the size, position, and maximized state
  * of application windows. It supports:
- * - Saving and restoring window dimensions and position per WM_CLASS.
- * - Restoring maximized state.
- * - Restoring workspace (desktop).
- * - Restoring minimized state.
- * - Restoring always on top state.
- * - Restoring always on visible workspace (sticky) state.
- * - Regex-based matching for WM_CLASS.
+ * - Saving and restoring window geometry per rule, one slot per open window
+ *   and one set of slots per monitor layout.
+ * - Restoring maximized, tiled, fullscreen, workspace, minimized, always on
+ *   top and sticky states, or forcing them on/off.
+ * - Exact, substring, glob and regex matching on WM_CLASS, title and app id,
+ *   with extra conditions and per-window state key templates.
+ * - Fixed geometries, layout snapshots and holding a restore against apps
+ *   that move themselves, with diagnostics of how each restore went.
  * - Automatic centering of windows if no saved state exists.
  * - Live monitoring of window creation and geometry changes.
  * - Refactored to use connectObject/disconnectObject for cleaner signal management.
@@ -61,7 +287,7 @@ export default class DejaWindowExtension extends Extension {
         // Initialize settings from schema
         this._settings = this.getSettings();
 
-        // Map<Window, { timeoutId: number, wsTimeoutId: number, isRestoreApplied: boolean, actors: Meta.WindowActor[] }>
+        // Map<Window, { identity: string, slot: number, timeoutId: number, wsTimeoutId: number, isRestoreApplied: boolean, actors: Meta.WindowActor[] }>
         this._handles = new Map();
 
         // Cache for configurations to avoid parsing JSON on every window creation
@@ -70,6 +296,24 @@ export default class DejaWindowExtension extends Extension {
         this._updateConfigs();
         this._updateGlobalDefaults();
 
+        // Stable monitor identities (connector + EDID), so saved states survive
+        // monitors being enumerated in a different order.
+        this._monitors = new MonitorTracker({
+            changing: () => this._onMonitorsChanging(),
+            changed: () => this._onMonitorsChanged(),
+            known: () => this._onMonitorsKnown(),
+        });
+        this._monitorsSettleId = 0;
+        // Restore results not yet written (see _recordRestoreResult)
+        this._pendingDiagnostics = [];
+        this._diagnosticsWriteId = 0;
+        // Windows seen but not yet written to window-history (see _recordWindowHistory)
+        this._pendingHistory = [];
+        this._historyWriteId = 0;
+        // Restores and saves waiting for the layout to be known (see _onMonitorsKnown)
+        this._awaitingMonitors = { restores: new Set(), saves: [] };
+        this._monitors.enable();
+
         // Logical bypass switch (top bar indicator menu): when false, the
         // extension stays enabled but all tracking/restore/save is a no-op.
         this._functionalityEnabled = this._settings.get_boolean('functionality-enabled');
@@ -98,12 +342,32 @@ export default class DejaWindowExtension extends Extension {
             this._adoptUnmanagedWindows();
         }, this);
 
+        // Parsed window-app-states, read again after any change (see _savedStates)
+        this._savedStatesCache = null;
+        this._settings.connectObject('changed::window-app-states', () => {
+            this._savedStatesCache = null;
+        }, this);
+
         // One-shot "save current window state" requests coming from prefs.js
         // (separate process, no access to Meta windows). See _handleCaptureRequest.
         this._settings.connectObject('changed::capture-state-request', () => {
             this._handleCaptureRequest();
         }, this);
 
+        // Live "which windows does this draft rule match" previews for the
+        // prefs matching editor. See _handleMatchPreviewRequest.
+        this._settings.connectObject('changed::match-preview-request', () => {
+            this._handleMatchPreviewRequest();
+        }, this);
+
+        // Named layout snapshots, saved/restored from the indicator or prefs
+        this._snapshots = new LayoutSnapshots(this);
+        this._snapshots.enable();
+
+        // Click-to-pick a window for the rule forms in prefs
+        this._windowPicker = new WindowPicker(this);
+        this._windowPicker.enable();
+
         // Top bar indicator, shown/hidden per the show-indicator preference
         this._indicator = null;
         this._settings.connectObject('changed::show-indicator', () => {
@@ -116,6 +380,14 @@ export default class DejaWindowExtension extends Extension {
             this._onWindowCreated(window);
         }, this);
 
+        // The user moving or resizing a window, with the pointer or the
+        // keyboard, ends any enforce_ms hold on it and settles how its restore
+        // went (see _verifyRestore). Any other change is taken for the app's.
+        global.display.connectObject('grab-op-begin', (display, window) => {
+            const handle = window && this._handles.get(window);
+            if (handle) this._endRestoreHold(handle);
+        }, this);
+
         // Handle already existing windows (Crucial for X11 and reload)
         // We use an idle callback to ensure the loop starts after full initialization.
         // The id is kept so disable() can drop the source if it never got to run.
@@ -165,6 +437,16 @@ export default class DejaWindowExtension extends Extension {
             this._windowMenu = null;
         }
 
+        if (this._snapshots) {
+            this._snapshots.disable();
+            this._snapshots = null;
+        }
+
+        if (this._windowPicker) {
+            this._windowPicker.disable();
+            this._windowPicker = null;
+        }
+
         // Clean up global signals associated with this extension
         if (this._settings) {
             this._settings.disconnectObject(this);
@@ -173,6 +455,16 @@ export default class DejaWindowExtension extends Extension {
 
         this._destroyIndicator();
 
+        if (this._monitors) {
+            this._monitors.disable();
+            this._monitors = null;
+        }
+        if (this._monitorsSettleId) {
+            GLib.source_remove(this._monitorsSettleId);
+            this._monitorsSettleId = 0;
+        }
+        this._awaitingMonitors = null;
+
         // Clean up all managed windows
         for (const window of this._handles.keys()) {
             this._cleanupWindow(window);
@@ -189,8 +481,12 @@ export default class DejaWindowExtension extends Extension {
             this._probes.clear();
         }
 
+        this._writeDiagnostics();
+        this._writeHistory();
+
         this._settings = null;
         this._configs = [];
+        this._savedStatesCache = null;
         this._globalDefaults = {};
         this._functionalityEnabled = true;
     }
@@ -234,6 +530,9 @@ export default class DejaWindowExtension extends Extension {
         }, indicator);
         indicator.menu.addMenuItem(enabledItem);
 
+        indicator.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this._snapshots.addIndicatorItems(indicator.menu, indicator);
+
         Main.panel.addToStatusArea(this.uuid, indicator);
         this._indicator = indicator;
     }
@@ -245,6 +544,128 @@ export default class DejaWindowExtension extends Extension {
         }
     }
 
+    // --- MONITOR CHANGES ---
+
+    // A monitor was plugged or unplugged: drop any pending save (its rect was
+    // read under the old layout) and stop recording moves until things settle,
+    // so the positions Mutter evacuates windows to are never saved.
+    _onMonitorsChanging() {
+        for (const handle of this._handles.values()) {
+            if (handle.timeoutId) {
+                GLib.source_remove(handle.timeoutId);
+                handle.timeoutId = 0;
+            }
+            handle.pendingSave = null;
+        }
+        this._awaitingMonitors.saves = [];
+
+        if (this._monitorsSettleId) GLib.source_remove(this._monitorsSettleId);
+        this._monitorsSettleId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, MONITOR_SETTLE_MS, () => {
+            this._monitorsSettleId = 0;
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    // The identities of the current monitors are known, at startup or after a
+    // change: the layout profile restores read and saves write is now the
+    // right one (see layoutProfile), so run those held until then.
+    _onMonitorsKnown() {
+        const { restores, saves } = this._awaitingMonitors;
+        this._awaitingMonitors = { restores: new Set(), saves: [] };
+
+        saves.forEach(save => save());
+        for (const window of restores) {
+            const handle = this._handles.get(window);
+            const effective = handle && !handle.isRestoreApplied && this._getEffectiveConfig(window);
+            if (effective) this._applySavedState(window, effective.identity, effective.config);
+        }
+    }
+
+    // Writes a save now, or once the monitor layout is known: before that it
+    // would land in the wrong layout profile.
+    _saveWhenMonitorsKnown(save) {
+        if (this._monitors.isKnown()) save();
+        else this._awaitingMonitors.saves.push(save);
+    }
+
+    // The new monitor configuration is known: send windows of rules that opted
+    // in (restore_on_reconnect) back to their saved monitor if it's connected
+    // again. Runs within the settle period, so these moves aren't saved either.
+    _onMonitorsChanged() {
+        if (!this._functionalityEnabled) return;
+
+        for (const [window, handle] of this._handles) {
+            if (!handle.isRestoreApplied || !window.get_workspace()) continue;
+
+            const effective = this._getEffectiveConfig(window);
+            if (!effective || !effective.config.restore_pos || !effective.config.restore_on_reconnect) continue;
+
+            this._returnToSavedMonitor(window, effective.identity, this._slotFor(handle, effective.identity),
+                effective.config);
+        }
+    }
+
+    // Moves a window back onto the monitor its saved state points at, and to
+    // its saved geometry there. No-op while that monitor is still missing or
+    // the window is already on it.
+    _returnToSavedMonitor(window, identity, slot, config) {
+        const state = this._readSavedState(identity, slot);
+        if (!state) return;
+
+        const targetMonitor = this._monitors.resolve(state.monitor_id, state.monitor ?? 0);
+        if (targetMonitor < 0 || targetMonitor >= global.display.get_n_monitors()) return;
+        if (targetMonitor === window.get_monitor()) return;
+
+        debug(`[DejaWindow] Returning ${identity} to reconnected monitor ${targetMonitor}`);
+        window.move_to_monitor(targetMonitor);
+
+        // A maximized, tiled or fullscreen window just follows the monitor; a normal
+        // one gets its saved geometry back, when that still lands on the monitor.
+        if (window.maximized_horizontally || window.maximized_vertically || window.fullscreen) return;
+        if (state.x === undefined || state.y === undefined) return;
+
+        const workArea = window.get_workspace().get_work_area_for_monitor(targetMonitor);
+        if (!workArea) return;
+
+        const rect = window.get_frame_rect();
+        const { x, y, width, height } = adaptToWorkArea(config.position_mode, state, workArea,
+            state.width > 50 ? state.width : rect.width,
+            state.height > 50 ? state.height : rect.height,
+            state.width > 50);
+        if (!this._isPointInWorkArea(x, y, workArea)) return;
+
+        window.move_resize_frame(true, x, y, width, height);
+    }
+
+    // window-app-states, parsed once per change of the key rather than on
+    // every title change and save that looks a record up. Read-only: a save
+    // parses its own copy to modify.
+    _savedStates() {
+        if (!this._savedStatesCache) {
+            try {
+                this._savedStatesCache = JSON.parse(this._settings.get_string('window-app-states')) || {};
+            } catch (e) {
+                this._savedStatesCache = {};
+            }
+        }
+        return this._savedStatesCache;
+    }
+
+    // Whether window-app-states holds a record for the identity.
+    _hasSavedState(identity) {
+        return Object.hasOwn(this._savedStates(), identity);
+    }
+
+    // The saved state a window of the given identity and slot would be
+    // restored from under the current monitor layout, or null if none.
+    _readSavedState(identity, slot) {
+        const savedStates = this._savedStates();
+        if (!savedStates[identity]) return null;
+
+        const profile = layoutProfile(savedStates[identity], this._monitors.layoutSignature());
+        return instanceState(profile, slot) || instanceState(profile, 0);
+    }
+
     // --- HELPER METHODS FOR API COMPATIBILITY ---
 
     _maximizeWindow(window) {
@@ -255,6 +676,72 @@ export default class DejaWindowExtension extends Extension {
         window.unmaximize(...maximizeArgs(window.unmaximize));
     }
 
+    // The window's tile mode: 'left' / 'right' for a half-screen tile, 'vertical'
+    // / 'horizontal' for maximization along one axis only, null for a normal or
+    // fully maximized window. Mutter doesn't expose its tile mode to extensions, so
+    // a half tile is told apart from a plain vertical maximization by its frame:
+    // half the work area wide, flush with its left or right edge. A tile only
+    // imitated by _tileWindow is a normal window to Mutter: it counts as tiled
+    // for as long as it keeps the frame it was given.
+    _tileMode(window) {
+        const horizontal = window.maximized_horizontally;
+        const vertical = window.maximized_vertically;
+        if (horizontal === vertical) {
+            const imitated = !horizontal && this._handles.get(window)?.imitatedTile;
+            if (!imitated) return null;
+            const rect = window.get_frame_rect();
+            const kept = ['x', 'y', 'width', 'height'].every(key => Math.abs(rect[key] - imitated.rect[key]) <= TILE_TOLERANCE);
+            return kept ? imitated.tile : null;
+        }
+        if (horizontal) return 'horizontal';
+
+        const area = window.get_work_area_current_monitor();
+        const rect = window.get_frame_rect();
+        if (Math.abs(rect.width - area.width / 2) <= TILE_TOLERANCE) {
+            if (Math.abs(rect.x - area.x) <= TILE_TOLERANCE) return 'left';
+            if (Math.abs(rect.x + rect.width - (area.x + area.width)) <= TILE_TOLERANCE) return 'right';
+        }
+        return 'vertical';
+    }
+
+    // Maximizes along one axis only. From GNOME 49 on maximize() has no
+    // direction argument, so there the maximization is approximated by
+    // stretching the frame across the work area along that axis; the frame
+    // given is returned then, null when the window was really maximized.
+    _maximizeDirection(window, direction) {
+        if (maximizeArgs(window.maximize).length > 0) {
+            window.maximize(direction);
+            return null;
+        }
+        const area = window.get_work_area_current_monitor();
+        const rect = window.get_frame_rect();
+        const frame = direction === MAXIMIZE_VERTICAL
+            ? { x: rect.x, y: area.y, width: rect.width, height: area.height }
+            : { x: area.x, y: rect.y, width: area.width, height: rect.height };
+        window.move_resize_frame(true, frame.x, frame.y, frame.width, frame.height);
+        return frame;
+    }
+
+    // Re-applies a saved tile mode (see _tileMode). Mutter has no API to tile
+    // a window, so a half tile is rebuilt as a vertical maximization covering
+    // that half of the work area; the normal geometry applied before it is
+    // what the window returns to when untiled. Where the maximization is only
+    // imitated (GNOME 49 on), the handle remembers the tile, so saving keeps
+    // it instead of taking its frame for the normal geometry.
+    _tileWindow(window, tile) {
+        let frame = this._maximizeDirection(window, tile === 'horizontal' ? MAXIMIZE_HORIZONTAL : MAXIMIZE_VERTICAL);
+        if (tile === 'left' || tile === 'right') {
+            const area = window.get_work_area_current_monitor();
+            const width = Math.floor(area.width / 2);
+            const x = tile === 'left' ? area.x : area.x + area.width - width;
+            window.move_resize_frame(true, x, area.y, width, area.height);
+            if (frame) frame = { x, y: area.y, width, height: area.height };
+        }
+
+        const handle = this._handles.get(window);
+        if (handle) handle.imitatedTile = frame ? { tile, rect: frame } : null;
+    }
+
     // Helper to update configs from settings
     _updateConfigs() {
         try {
@@ -265,6 +752,16 @@ export default class DejaWindowExtension extends Extension {
             this._configs = [];
         }
 
+        // Rules from older releases, the schema's defaults or a hand edit get
+        // their id here, as Preferences does on saving: rules are told apart
+        // by it. Writing them back lands here once more, with none missing.
+        if (this._configs.some(c => !c.id)) {
+            this._configs.forEach(c => {
+                if (!c.id) c.id = GLib.uuid_string_random();
+            });
+            this._settings.set_string('window-app-configs', JSON.stringify(this._configs));
+        }
+
         this._cleanupStaleHandles();
     }
 
@@ -306,36 +803,30 @@ export default class DejaWindowExtension extends Extension {
         }
     }
 
-    // Tests a single config's pattern against a window, per its match_mode and
-    // is_regex. Ignores the config's 'enabled' flag: callers that care about it
-    // (like _getConfigForWindow) check it themselves, while the capture request
-    // path deliberately matches disabled rules too.
+    // Tests a single config against a window: its pattern per match_mode and
+    // pattern_type, and its extra conditions (see matching.js). Ignores the config's
+    // 'enabled' flag: callers that care about it (like _getConfigForWindow)
+    // check it themselves, while the capture request path deliberately matches
+    // disabled rules too.
     _windowMatchesConfig(config, window) {
-        const mode = config.match_mode || 'wm_class';
-        const valueToCheck = mode === 'title' ? window.get_title() : window.get_wm_class();
-        if (!valueToCheck) return false;
-
-        if (!config.is_regex) return config.wm_class === valueToCheck;
-
-        try {
-            return new RegExp(config.wm_class).test(valueToCheck);
-        } catch (e) {
-            console.error(`[DejaWindow] Invalid regex in rule: ${config.wm_class}`, e);
-            return false;
-        }
+        return configMatches(config, windowFacts(window));
     }
 
-    // Helper to find a matching config for a given Window
+    // Helper to find a matching config for a given Window. Rules are tried in
+    // window-app-configs order, which is their priority (reordered from the
+    // Managed Windows list in Preferences): the first match wins.
     _getConfigForWindow(window) {
         if (!window) return null;
 
         // A disabled rule is treated as if it didn't exist: same effect as
         // deleting it, but its definition/customization is preserved.
-        return this._configs.find(c => c.enabled !== false && this._windowMatchesConfig(c, window));
+        const facts = windowFacts(window);
+        return this._configs.find(c => c.enabled !== false && configMatches(c, facts));
     }
 
     // Resolves the config and identity that should govern a window: an explicit
-    // per-app config always wins; otherwise, if Global Defaults are enabled, the
+    // per-app config always wins, its identity being its pattern or what its
+    // state_key template makes of this window (see stateKey); otherwise, if Global Defaults are enabled, the
     // window is NORMAL, and its wm_class isn't excluded, fall back to the Global
     // Defaults object. Identity is always the window's own live wm_class in the
     // fallback case (never a fixed value on the defaults object itself), so each
@@ -345,7 +836,7 @@ export default class DejaWindowExtension extends Extension {
 
         const explicit = this._getConfigForWindow(window);
         if (explicit) {
-            return { config: explicit, identity: explicit.wm_class };
+            return { config: explicit, identity: this._templatedIdentity(window, explicit) };
         }
 
         if (!this._globalDefaults.enabled) return null;
@@ -353,29 +844,38 @@ export default class DejaWindowExtension extends Extension {
 
         const wmClass = window.get_wm_class();
         if (!wmClass) return null;
-        if (this._isExcludedFromDefaults(window, wmClass)) return null;
+        if (this._isExcludedFromDefaults(window)) return null;
 
         return { config: this._globalDefaults, identity: wmClass };
     }
 
+    // A window's identity under a rule, per its state_key template. A managed
+    // window only moves to another key of the same template when that key
+    // already has a saved state: a terminal retitled on every command would
+    // otherwise leave a record behind per title. Until then it keeps saving
+    // where it was bound.
+    _templatedIdentity(window, config) {
+        const identity = stateKey(config, windowFacts(window));
+        const handle = this._handles.get(window);
+        if (!config.state_key || !handle || identity === handle.identity) return identity;
+
+        const bound = handle.template;
+        const sameTemplate = bound && bound.id === config.id && bound.key === ruleKey(config) &&
+            (bound.match_mode || 'wm_class') === (config.match_mode || 'wm_class') &&
+            bound.state_key === config.state_key;
+        if (!sameTemplate || this._hasSavedState(identity)) return identity;
+        return handle.identity;
+    }
+
     // Checks whether a window is excluded from Global Defaults via the
     // excluded_apps rules, which mirror per-app config matching (match_mode
-    // 'wm_class'|'title', optional regex, 'wm_class' field holding the pattern).
-    _isExcludedFromDefaults(window, wmClass) {
+    // 'wm_class'|'title'|'app_id', pattern_type, 'wm_class' field holding the pattern).
+    _isExcludedFromDefaults(window) {
         const rules = this._globalDefaults.excluded_apps || [];
         if (rules.length === 0) return false;
 
-        const title = window.get_title();
-        return rules.some(rule => {
-            const valueToCheck = (rule.match_mode === 'title') ? title : wmClass;
-            if (!valueToCheck) return false;
-            try {
-                return rule.is_regex ? new RegExp(rule.wm_class).test(valueToCheck) : rule.wm_class === valueToCheck;
-            } catch (e) {
-                console.error(`[DejaWindow] Invalid regex in excluded_apps: ${rule.wm_class}`, e);
-                return false;
-            }
-        });
+        const facts = windowFacts(window);
+        return rules.some(rule => configMatches(rule, facts));
     }
 
     // Handles a "save current window state" request written to
@@ -405,14 +905,16 @@ export default class DejaWindowExtension extends Extension {
         const matchMode = request.match_mode || 'wm_class';
         const reply = (status) => {
             this._settings.set_string('capture-state-request',
-                JSON.stringify({ status, wm_class: request.wm_class, match_mode: matchMode }));
+                JSON.stringify({ status, id: request.id, wm_class: request.wm_class, match_mode: matchMode }));
         };
 
-        // Matched on identity (pattern + mode), not by matching a window, since
-        // the rule may well be disabled right now — the user is still entitled
-        // to pin its geometry.
-        const config = this._configs.find(c =>
-            c.wm_class === request.wm_class && (c.match_mode || 'wm_class') === matchMode);
+        // Matched on the rule's id, not by matching a window, since the rule
+        // may well be disabled right now — the user is still entitled to pin
+        // its geometry. A rule Preferences read before it had an id is found
+        // by its pattern, conditions and mode instead.
+        const config = request.id
+            ? this._configs.find(c => c.id === request.id)
+            : this._configs.find(c => ruleKey(c) === ruleKey(request) && (c.match_mode || 'wm_class') === matchMode);
         if (!config) {
             reply('no-rule');
             return;
@@ -423,51 +925,134 @@ export default class DejaWindowExtension extends Extension {
         const window = global.display.get_tab_list(Meta.TabList.NORMAL, null)
             .find(w => this._isValidManagedWindow(w) && this._windowMatchesConfig(config, w));
 
-        reply(this.captureWindowState(window, config.wm_class) ? 'saved' : 'no-window');
+        reply(window && this.captureWindowState(window, config) ? 'saved' : 'no-window');
     }
 
-    // Snapshots a specific window's current geometry/state into
-    // window-app-states under the given identity, writing every field (see
-    // CAPTURE_ALL_FLAGS) regardless of the rule's restore_* flags. Public
-    // because windowMenu.js calls it directly — running in this same process,
-    // it already holds the Meta.Window and needs no capture-state-request
-    // round-trip. Returns false if the window can't be snapshotted.
-    captureWindowState(window, identity) {
-        if (!window || !identity || !window.get_workspace()) return false;
+    // Handles a preview request written to match-preview-request by prefs.js,
+    // same protocol as capture-state-request: evaluates a draft rule — not
+    // saved anywhere yet, so the pattern being typed in the matching editor —
+    // against the open windows, and replies with those it matches. Each comes
+    // with the rule governing it right now (or Global Defaults), so prefs can
+    // tell a window this rule would take from one a higher rule keeps, and with
+    // the state key the draft would save it under.
+    _handleMatchPreviewRequest() {
+        if (!this._settings) return;
 
-        const rect = window.get_frame_rect();
-        const isMaximized = window.maximized_horizontally || window.maximized_vertically;
-        const workspaceIndex = window.get_workspace().index();
+        const raw = this._settings.get_string('match-preview-request');
+        if (!raw) return;
+
+        let request = null;
+        try {
+            request = JSON.parse(raw);
+        } catch (e) {
+            request = null;
+        }
+        if (!request || request.status || !request.rule || !request.rule.wm_class) return;
+
+        const windows = [];
+        for (const window of global.display.get_tab_list(Meta.TabList.NORMAL, null)) {
+            if (!this._isValidManagedWindow(window)) continue;
+
+            const facts = windowFacts(window);
+            if (!configMatches(request.rule, facts)) continue;
+
+            const effective = this._getEffectiveConfig(window);
+            let governedBy = null;
+            if (effective && effective.config === this._globalDefaults)
+                governedBy = { defaults: true };
+            else if (effective)
+                governedBy = { id: effective.config.id, wm_class: effective.config.wm_class, match_mode: effective.config.match_mode || 'wm_class' };
+
+            windows.push({
+                wm_class: facts.wm_class,
+                title: facts.title,
+                app_id: facts.app_ids[0] || null,
+                state_key: stateKey(request.rule, facts),
+                governed_by: governedBy,
+            });
+        }
 
-        this._performSave(identity, window.get_monitor(), rect.x, rect.y, rect.width, rect.height,
-            CAPTURE_ALL_FLAGS, isMaximized, workspaceIndex, window.minimized, window.above, window.on_all_workspaces);
+        this._settings.set_string('match-preview-request',
+            JSON.stringify({ status: 'ok', id: request.id, windows }));
+    }
+
+    // Snapshots a specific window's current geometry/state into
+    // window-app-states under the identity the given rule gives it, writing
+    // every field (see CAPTURE_ALL_FLAGS) regardless of the rule's restore_*
+    // flags. Public because windowMenu.js calls it directly — running in this
+    // same process, it already holds the Meta.Window and needs no
+    // capture-state-request round-trip. Returns false if the window can't be
+    // snapshotted.
+    captureWindowState(window, config) {
+        const identity = window && stateKey(config, windowFacts(window));
+        if (!identity || !window.get_workspace()) return false;
+
+        // Written into the window's own instance slot, so pinning the second
+        // window of an app doesn't overwrite the first one's layout.
+        const slot = this._slotFor(this._handles.get(window), identity);
+
+        this._performSave({
+            identity,
+            slot,
+            config: { ...CAPTURE_ALL_FLAGS, wm_class: config.wm_class, conditions: config.conditions, state_key: config.state_key },
+            ...this._windowSaveState(window),
+        });
 
         return true;
     }
 
-    // Helper to record a new WM_CLASS in the known-wm-classes setting
-    _recordWmClass(wmClass) {
-        if (!wmClass) return;
-        let known = this._settings.get_value('known-wm-classes').recursiveUnpack();
-        if (!known.includes(wmClass)) {
-            known.push(wmClass);
-            // Sort to look nice
-            known.sort();
-            this._settings.set_value('known-wm-classes', new GLib.Variant('as', known));
+    // Records the window's class, app id and title in window-history (see
+    // history.js), feeding the prefs pickers: a class is shown as its app's
+    // name and icon, and titles are listed under their app. Entries not seen
+    // for history-max-age-days are aged out as it's written, in one batch
+    // HISTORY_WRITE_DELAY_MS after the first window seen.
+    _recordWindowHistory(window) {
+        this._pendingHistory.push({
+            wmClass: window.get_wm_class(),
+            appId: appIds(window)[0],
+            title: window.get_title(),
+            time: Math.floor(GLib.get_real_time() / 1000000),
+        });
+        if (this._historyWriteId) return;
+        this._historyWriteId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, HISTORY_WRITE_DELAY_MS, () => {
+            this._historyWriteId = 0;
+            this._writeHistory();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    // Writes the pending windows to window-history, read again first so
+    // entries removed in Preferences meanwhile stay removed.
+    _writeHistory() {
+        if (this._historyWriteId) {
+            GLib.source_remove(this._historyWriteId);
+            this._historyWriteId = 0;
         }
+        if (this._pendingHistory.length === 0) return;
+
+        const history = parseHistory(this._settings.get_string('window-history'));
+        let changed = false;
+        for (const { time, ...seen } of this._pendingHistory) {
+            if (recordWindow(history, seen, time)) changed = true;
+        }
+        this._pendingHistory = [];
+        if (!changed) return;
+
+        const now = Math.floor(GLib.get_real_time() / 1000000);
+        const maxAgeDays = this._settings.get_int('history-max-age-days');
+        if (maxAgeDays > 0) pruneHistory(history, now - maxAgeDays * 24 * 60 * 60);
+        this._settings.set_string('window-history', JSON.stringify(history));
     }
 
-    // Helper to record a new window title in the known-window-titles setting
-    // (feeds the prefs pickers when match_mode is 'title'). Capped because,
-    // unlike WM_CLASSes, titles are unbounded (e.g. browser tab titles).
-    _recordTitle(title) {
-        if (!title) return;
-        let known = this._settings.get_value('known-window-titles').recursiveUnpack();
-        if (known.includes(title)) return;
-        if (known.length >= 200) return;
-        known.push(title);
-        known.sort();
-        this._settings.set_value('known-window-titles', new GLib.Variant('as', known));
+    // Helper to record a window's app id in the known-app-ids setting (feeds
+    // the prefs picker when match_mode is 'app_id'). Only its first, most
+    // telling id (the desktop file one, when Shell knows the app) is offered.
+    _recordAppId(window) {
+        const [appId] = appIds(window);
+        if (!appId) return;
+        const known = this._settings.get_strv('known-app-ids');
+        if (known.includes(appId)) return;
+        this._settings.set_strv('known-app-ids', [appId, ...known].slice(0, MAX_CLASSES));
     }
 
     // Helper to cleanup a window. Disconnects signals and removes timeout if pending.
@@ -480,6 +1065,10 @@ export default class DejaWindowExtension extends Extension {
             GLib.source_remove(handle.timeoutId);
             handle.timeoutId = 0;
         }
+        handle.pendingSave = null;
+        this._awaitingMonitors?.restores.delete(window);
+        this._stopEnforcing(handle);
+        this._cancelVerification(handle);
         // Remove workspace timeout if pending
         if (handle.wsTimeoutId) {
             GLib.source_remove(handle.wsTimeoutId);
@@ -526,13 +1115,9 @@ export default class DejaWindowExtension extends Extension {
         // If we're already handling this window, exit early.
         if (this._handles.has(window)) return;
 
-        // Record class/title if available immediately
-        if (window.get_wm_class()) {
-            this._recordWmClass(window.get_wm_class());
-        }
-        if (window.get_title()) {
-            this._recordTitle(window.get_title());
-        }
+        // Record class/title/app id if available immediately
+        this._recordWindowHistory(window);
+        this._recordAppId(window);
 
         // Try to setup immediately
         if (this._checkAndSetup(window)) return;
@@ -547,12 +1132,8 @@ export default class DejaWindowExtension extends Extension {
         if (this._probes.has(window)) return;
 
         const onPropChanged = () => {
-            if (window.get_wm_class()) {
-                this._recordWmClass(window.get_wm_class());
-            }
-            if (window.get_title()) {
-                this._recordTitle(window.get_title());
-            }
+            this._recordWindowHistory(window);
+            this._recordAppId(window);
 
             if (this._checkAndSetup(window)) {
                 // Window matched and setup! Remove probes.
@@ -591,22 +1172,50 @@ export default class DejaWindowExtension extends Extension {
         // Check if we should manage this window (explicit config or Global Defaults)
         const effective = this._getEffectiveConfig(window);
         if (effective && effective.identity) {
-            this._setupListeners(window, effective.identity);
+            this._setupListeners(window, effective.identity, effective.config);
             return true;
         }
         return false;
     }
 
+    // Returns the lowest instance slot of an identity not held by another open
+    // window, so the first, second, third... window of a rule each get back
+    // their own saved layout instead of sharing (and overwriting) one record.
+    _nextFreeSlot(identity) {
+        const used = new Set();
+        for (const handle of this._handles.values()) {
+            if (handle.identity === identity) used.add(handle.slot);
+        }
+        let slot = 0;
+        while (used.has(slot)) slot++;
+        return slot;
+    }
+
+    // The slot a handle saves into for the given identity. A live config edit
+    // can move a window to another identity than the one it was adopted (and
+    // given its slot) under; it then falls back to that identity's first slot.
+    _slotFor(handle, identity) {
+        return handle && handle.identity === identity ? handle.slot : 0;
+    }
+
     // Sets up specific listeners for configured windows to handle resizing, positioning, and saving state.
-    _setupListeners(window, identity) {
+    _setupListeners(window, identity, config) {
         if (this._handles.has(window)) return;
 
         debug('[DejaWindow] Setup listeners for:', identity);
 
         const handle = {
+            identity,                   // Identity the window was adopted under
+            slot: this._nextFreeSlot(identity), // Instance slot within that identity's saved record
+            template: templateOf(config), // The state_key rule it was bound under, if any (see _templatedIdentity)
             timeoutId: 0,               // Store timeout ID
+            pendingSave: null,          // The save timeoutId will run (see _flushPendingSave)
             wsTimeoutId: 0,             // Store workspace timeout ID
             restoreIdleId: 0,           // Store the pending restore idle ID
+            imitatedTile: null,         // The tile _tileWindow imitated with a plain frame, if any
+            enforce: null,              // The enforce_ms hold after restore, if any (see _enforceGeometry)
+            verification: null,         // The pending check of how the restore went (see _verifyRestore)
+            restoreResult: null,        // How it went, once checked
             // Track if restore has been applied. Windows re-adopted after a session unlock start
             // out as already restored: they keep saving, but are never re-placed.
             isRestoreApplied: this._adoptWithoutRestore === true,
@@ -683,30 +1292,50 @@ export default class DejaWindowExtension extends Extension {
             // Avoid overwriting saved state with partial coordinates during opening.
             if (!handle.isRestoreApplied) return;
 
+            // Right after a restore, the app fighting its restored geometry
+            // (see _enforceGeometry) gets it put back, and what it did isn't
+            // saved. Only the user grabbing the window ends that early.
+            if (handle.enforce) {
+                this._reassertGeometry(window, handle);
+                return;
+            }
+
+            // Moves right after a monitor change are Mutter's, not the user's.
+            if (this._monitorsSettleId) return;
+
             const rect = window.get_frame_rect();
             if (handle.timeoutId) {
                 GLib.source_remove(handle.timeoutId);
                 handle.timeoutId = 0;
             }
+            handle.pendingSave = null;
 
             // Dynamically get current config to respect live changes
             const effective = this._getEffectiveConfig(window);
             if (!effective || effective.config.locked === true) return;
 
-            // Schedule a timeout to save the window's state
-            handle.timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
+            // The slot is taken now: if the window is rebound to another
+            // identity before the save runs, it still lands in the old one.
+            const slot = this._slotFor(handle, effective.identity);
+            handle.pendingSave = () => {
+                // Held for the monitor layout (see _saveWhenMonitorsKnown) past
+                // the window's closing, which saved it one last time.
+                if (this._handles.get(window) !== handle) return;
                 debug('[DejaWindow] Window changed (debounced):', identity);
-                const isMaximized = window.maximized_horizontally || window.maximized_vertically;
-
-                // Get additional states
-                const workspace = window.get_workspace();
-                const workspaceIndex = workspace ? workspace.index() : -1;
-                const monitorIndex = window.get_monitor();
-
-                this._performSave(effective.identity, monitorIndex, rect.x, rect.y, rect.width, rect.height,
-                    effective.config, isMaximized, workspaceIndex, window.minimized, window.above, window.on_all_workspaces);
+                // The frame as of the change; the rest as it is now.
+                this._performSave({
+                    identity: effective.identity,
+                    slot,
+                    config: savedOptions(effective.config),
+                    ...this._windowSaveState(window),
+                    rect,
+                });
+            };
 
+            // Schedule a timeout to save the window's state
+            handle.timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 500, () => {
                 handle.timeoutId = 0;
+                this._flushPendingSave(handle);
                 return GLib.SOURCE_REMOVE;
             });
         };
@@ -714,21 +1343,20 @@ export default class DejaWindowExtension extends Extension {
         // Helper to handle window unmanaging. Saves the window's state.
         const handleWindowUnmanaging = () => {
             debug('[DejaWindow] Window unmanaged:', identity);
-            // Last save before closing (skipped while bypassed)
-            if (this._functionalityEnabled && handle.isRestoreApplied) {
-                const rect = window.get_frame_rect();
-                const isMaximized = window.maximized_horizontally || window.maximized_vertically;
-
-                // Get additional states
-                const workspace = window.get_workspace();
-                const workspaceIndex = workspace ? workspace.index() : -1;
-                const monitorIndex = window.get_monitor();
-
+            // Last save before closing (skipped while bypassed, or while a monitor
+            // change may have left the window at an evacuated position)
+            if (this._functionalityEnabled && handle.isRestoreApplied && !this._monitorsSettleId) {
                 const effective = this._getEffectiveConfig(window);
 
                 if (effective && effective.config.locked !== true) {
-                    this._performSave(effective.identity, monitorIndex, rect.x, rect.y, rect.width, rect.height,
-                        effective.config, isMaximized, workspaceIndex, window.minimized, window.above, window.on_all_workspaces);
+                    // Read now: the window is gone by the time a held save runs.
+                    const save = {
+                        identity: effective.identity,
+                        slot: this._slotFor(handle, effective.identity),
+                        config: savedOptions(effective.config),
+                        ...this._windowSaveState(window),
+                    };
+                    this._saveWhenMonitorsKnown(() => this._performSave(save));
                 }
             }
             this._cleanupWindow(window);
@@ -742,6 +1370,63 @@ export default class DejaWindowExtension extends Extension {
         window.connectObject('notify::minimized', () => handleWindowChange(window), this);
         window.connectObject('notify::above', () => handleWindowChange(window), this);
         window.connectObject('notify::on-all-workspaces', () => handleWindowChange(window), this);
+        window.connectObject('notify::fullscreen', () => handleWindowChange(window), this);
+
+        // A title or class set after the window opened can hand it to another
+        // rule (a document, a browser profile): see _rebindWindow.
+        window.connectObject('notify::title', () => this._rebindWindow(window), this);
+        window.connectObject('notify::wm-class', () => this._rebindWindow(window), this);
+    }
+
+    // Runs a handle's debounced save right away instead of when its timeout
+    // fires, if one is pending.
+    _flushPendingSave(handle) {
+        if (handle.timeoutId) {
+            GLib.source_remove(handle.timeoutId);
+            handle.timeoutId = 0;
+        }
+        const save = handle.pendingSave;
+        handle.pendingSave = null;
+        if (save) this._saveWhenMonitorsKnown(save);
+    }
+
+    // Re-evaluates the rules for a managed window whose title or class
+    // changed, since another rule (or state_key) may govern it now — another
+    // key of its own state_key only once that key has a saved state (see
+    // _templatedIdentity). The window moves to the new identity under a free
+    // slot of its own, once the save still pending for the old identity has
+    // been written; with restore_on_rebind, the new rule's saved state is then
+    // applied once. If nothing governs it anymore it's let go, and probed
+    // again in case a later title matches.
+    _rebindWindow(window) {
+        const handle = this._handles.get(window);
+        if (!handle || !this._functionalityEnabled) return;
+
+        const effective = this._getEffectiveConfig(window);
+        if (effective && effective.identity === handle.identity) return;
+
+        this._flushPendingSave(handle);
+
+        if (!effective) {
+            debug('[DejaWindow] No longer matched after rename:', handle.identity);
+            this._cleanupWindow(window);
+            this._attachProbe(window);
+            return;
+        }
+
+        debug(`[DejaWindow] Rebinding ${handle.identity} to ${effective.identity}`);
+        handle.slot = this._nextFreeSlot(effective.identity);
+        handle.identity = effective.identity;
+        handle.template = templateOf(effective.config);
+
+        // A restore still to come already uses the new identity; only a window
+        // placed under the old one needs moving.
+        if (!handle.isRestoreApplied || effective.config.restore_on_rebind !== true || !this._monitors.isKnown()) return;
+        const state = this._readSavedState(effective.identity, handle.slot);
+        if (effective.config.fixed_geometry)
+            this._applyFixedGeometry(window, effective.config, state || {});
+        else if (state)
+            this._restoreState(window, effective.identity, effective.config, state, false);
     }
 
     // Applies the saved size and/or position, or falls back to centering if position is invalid/not requested.
@@ -774,9 +1459,34 @@ export default class DejaWindowExtension extends Extension {
                 return GLib.SOURCE_REMOVE;
             }
 
+            // Which layout profile to restore from isn't known yet: restored
+            // as soon as it is (see _onMonitorsKnown).
+            if (!this._monitors.isKnown()) {
+                this._awaitingMonitors.restores.add(window);
+                return GLib.SOURCE_REMOVE;
+            }
+
             handle.isRestoreApplied = true;
 
-            const needsRestore = config.restore_size || config.restore_pos || config.restore_maximized ||
+            // A window of an app relaunched by restoring a layout snapshot goes
+            // where the snapshot says, not where its rule last saved it.
+            const pending = this._snapshots.takePendingPlacement(window, identity);
+            if (pending) {
+                debug('[DejaWindow] Placing per layout snapshot:', identity);
+                this._snapshots.applyPendingPlacement(window, identity, pending);
+                return GLib.SOURCE_REMOVE;
+            }
+
+            // A rule with a fixed geometry places every window of it there,
+            // whatever was saved.
+            if (config.fixed_geometry) {
+                const outcome = this._applyFixedGeometry(window, config, this._readSavedState(identity, handle.slot) || {});
+                this._enforceGeometry(window, handle, outcome?.frame, config);
+                this._verifyRestore(window, handle, outcome, config);
+                return GLib.SOURCE_REMOVE;
+            }
+
+            const needsRestore = config.restore_size || config.restore_pos || config.restore_maximized || config.restore_tiled || config.restore_fullscreen ||
                 config.restore_workspace || config.restore_minimized || config.restore_above || config.restore_sticky;
 
             if (!needsRestore) {
@@ -792,143 +1502,415 @@ export default class DejaWindowExtension extends Extension {
                 console.error('[DejaWindow] Error reading window-app-states:', e);
             }
 
-            // Get saved state for this window
-            const state = savedStates[identity] || {};
-            debug('[DejaWindow] Restoring state for:', identity, state);
+            // Get saved state for this window: its own instance slot if that was
+            // ever saved, otherwise the first slot's, which an additional window
+            // only borrows (and gets offset from, see avoid_overlap below). So
+            // do windows past the slot cap, which share the last slot.
+            const profile = layoutProfile(savedStates[identity] || {}, this._monitors.layoutSignature());
+            const ownState = instanceState(profile, handle.slot);
+            const state = ownState || profile;
+            debug('[DejaWindow] Restoring state for:', identity, 'slot', handle.slot, state);
             // Safety checks for X11
             if (!state) return GLib.SOURCE_REMOVE;
 
-            const rect = window.get_frame_rect();
+            const exact = !!ownState && handle.slot < MAX_INSTANCE_SLOTS;
+            const outcome = this._restoreState(window, identity, config, state, exact);
+            this._enforceGeometry(window, handle, outcome?.frame, config);
+            this._verifyRestore(window, handle, outcome, config);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    // Puts a window in its rule's fixed_geometry (see fixedGeometryRect), on
+    // the monitor it names if that one is connected, otherwise on the one the
+    // window opened on. Exact: no overlap avoidance between its windows. The
+    // rest of the saved `state` (see GEOMETRY_OPTIONS) is restored as usual.
+    // Returns { frame, problems } like _restoreState, frame null when maximized.
+    _applyFixedGeometry(window, config, state) {
+        const fixed = config.fixed_geometry;
+        const problems = [];
+        const named = Number.isInteger(fixed.monitor) && fixed.monitor >= 0;
+        if (named && fixed.monitor >= global.display.get_n_monitors()) problems.push('monitor-missing');
+        const monitor = named && fixed.monitor < global.display.get_n_monitors() ? fixed.monitor : window.get_monitor();
+        if (monitor !== window.get_monitor()) window.move_to_monitor(monitor);
+
+        const workspace = window.get_workspace();
+        if (!workspace) return null;
+        const workArea = workspace.get_work_area_for_monitor(monitor);
+        if (!workArea) return null;
 
-            // Retrieve target dimensions
-            let targetW = rect.width;
-            let targetH = rect.height;
+        if (window.fullscreen) window.unmake_fullscreen();
+        if (window.maximized_horizontally || window.maximized_vertically) this._unmaximizeWindow(window);
 
-            // Restore size if requested and available
-            if (config.restore_size && state.width && state.height && state.width > 50 && state.height > 50) {
-                targetW = state.width;
-                targetH = state.height;
+        const rect = fixedGeometryRect(fixed, workArea);
+        debug(`[DejaWindow] Applying fixed geometry (${fixed.placement || 'exact'}): ${rect.width}x${rect.height} @ ${rect.x},${rect.y}`);
+        window.move_resize_frame(true, rect.x, rect.y, rect.width, rect.height);
+
+        let frame = rect;
+        if (fixed.placement === 'maximized') {
+            this._maximizeWindow(window);
+            frame = null;
+        }
+        this._restoreWindowStates(window, config, state, problems);
+        return { frame, problems };
+    }
+
+    // Holds a just-restored window at `rect` for the rule's enforce_ms: apps
+    // that move or resize themselves right after mapping (Electron, some Java
+    // apps) are put back each time, up to MAX_ENFORCE_ATTEMPTS times. Ends as
+    // soon as the user grabs it (see _endRestoreHold), and meanwhile no move
+    // or resize of the window is saved.
+    _enforceGeometry(window, handle, rect, config) {
+        this._stopEnforcing(handle);
+        if (!rect || !(config.enforce_ms > 0)) return;
+
+        const enforce = { rect, attempts: 0, idleId: 0, timeoutId: 0 };
+        enforce.timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, config.enforce_ms, () => {
+            enforce.timeoutId = 0;
+            this._stopEnforcing(handle);
+            return GLib.SOURCE_REMOVE;
+        });
+        handle.enforce = enforce;
+    }
+
+    // Puts an enforced window back where it was restored, from an idle so a
+    // burst of moves and resizes by the app gets a single correction.
+    _reassertGeometry(window, handle) {
+        const enforce = handle.enforce;
+        if (enforce.idleId) return;
+
+        enforce.idleId = GLib.idle_add(GLib.PRIORITY_LOW, () => {
+            enforce.idleId = 0;
+            if (handle.enforce !== enforce || !window.get_workspace()) return GLib.SOURCE_REMOVE;
+
+            const { rect } = enforce;
+            const reframed = window.fullscreen || window.maximized_horizontally || window.maximized_vertically;
+            if (!reframed && matchesFrame(window.get_frame_rect(), rect)) return GLib.SOURCE_REMOVE;
+
+            if (++enforce.attempts > MAX_ENFORCE_ATTEMPTS) {
+                debug('[DejaWindow] Giving up holding geometry of:', handle.identity);
+                this._stopEnforcing(handle);
+                return GLib.SOURCE_REMOVE;
             }
+            debug(`[DejaWindow] Re-applying geometry of ${handle.identity} (${enforce.attempts}): ${rect.width}x${rect.height} @ ${rect.x},${rect.y}`);
+            // Maximized or fullscreen by the app since: a frame can't be put
+            // back on those, so they're undone first.
+            if (window.fullscreen) window.unmake_fullscreen();
+            if (window.maximized_horizontally || window.maximized_vertically) this._unmaximizeWindow(window);
+            window.move_resize_frame(true, rect.x, rect.y, rect.width, rect.height);
+            return GLib.SOURCE_REMOVE;
+        });
+    }
 
-            // Before we can determine the work area, we need to make sure the window is located on the correct monitor.
-            // So, if we are restoring position, then check and move to the saved monitor.
-            const targetMonitor = state.monitor ?? 0;
-            // The saved monitor index may no longer exist (monitor unplugged, layout changed since last save).
-            // Passing an out-of-range index to move_to_monitor() hits a fatal assertion in Mutter and crashes
-            // the whole gnome-shell process, so it must be validated against the currently connected monitors.
-            if (config.restore_pos && targetMonitor !== window.get_monitor() &&
-                targetMonitor >= 0 && targetMonitor < global.display.get_n_monitors()) {
-              // Restore (move) the window to the saved monitor
-              window.move_to_monitor(targetMonitor);
+    // Checks how a restore went once the window has settled, and records it
+    // (see _recordRestoreResult): the problems the restore itself ran into,
+    // plus 'overridden' when the frame isn't the one applied anymore. Run
+    // early when the user grabs it (see _endRestoreHold), so their own move
+    // isn't blamed on the app.
+    _verifyRestore(window, handle, outcome, config) {
+        this._cancelVerification(handle);
+        if (!outcome) return;
+
+        const verification = { timeoutId: 0 };
+        verification.run = () => {
+            this._cancelVerification(handle);
+            if (!window.get_workspace()) return;
+
+            const problems = [...outcome.problems];
+            let actual = null;
+            if (outcome.frame) {
+                const rect = window.get_frame_rect();
+                actual = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+                if (!matchesFrame(actual, outcome.frame)) problems.push('overridden');
             }
+            this._recordRestoreResult(window, handle, { problems, target: outcome.frame, actual });
+        };
+        verification.timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, VERIFY_DELAY_MS + (config.enforce_ms || 0), () => {
+            verification.timeoutId = 0;
+            verification.run();
+            return GLib.SOURCE_REMOVE;
+        });
+        handle.verification = verification;
+    }
+
+    _cancelVerification(handle) {
+        const verification = handle.verification;
+        if (!verification) return;
 
-            // Retrieve target position
-            let targetX = rect.x;
-            let targetY = rect.y;
-            const monitorIndex = window.get_monitor();
-            const workspace = window.get_workspace();
-            if (!workspace) return GLib.SOURCE_REMOVE;
+        if (verification.timeoutId) GLib.source_remove(verification.timeoutId);
+        handle.verification = null;
+    }
 
-            const workArea = workspace.get_work_area_for_monitor(monitorIndex);
-            if (!workArea) return GLib.SOURCE_REMOVE;
+    // Keeps a restore result on the window's handle, for the window menu,
+    // and in restore-diagnostics for Preferences (see diagnostics.js).
+    _recordRestoreResult(window, handle, result) {
+        const entry = {
+            identity: handle.identity,
+            slot: handle.slot,
+            wm_class: window.get_wm_class(),
+            title: window.get_title(),
+            time: Math.floor(GLib.get_real_time() / 1000000),
+            ...result,
+        };
+        handle.restoreResult = entry;
+        if (result.problems.length > 0)
+            debug(`[DejaWindow] Restore of ${handle.identity} (slot ${handle.slot}) not as saved:`, result.problems.join(', '));
+
+        this._pendingDiagnostics.push(entry);
+        if (this._diagnosticsWriteId) return;
+        this._diagnosticsWriteId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, DIAGNOSTICS_WRITE_DELAY_MS, () => {
+            this._diagnosticsWriteId = 0;
+            this._writeDiagnostics();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
 
-            // Default to centered position as fallback
-            targetX = workArea.x + (workArea.width - targetW) / 2;
-            targetY = workArea.y + (workArea.height - targetH) / 2;
+    // Writes the pending restore results to restore-diagnostics. The key is
+    // read again first, so a Clear from Preferences meanwhile still holds.
+    _writeDiagnostics() {
+        if (this._diagnosticsWriteId) {
+            GLib.source_remove(this._diagnosticsWriteId);
+            this._diagnosticsWriteId = 0;
+        }
+        if (this._pendingDiagnostics.length === 0) return;
 
-            // Restore position if requested and valid
-            if (config.restore_pos && state.x !== undefined && state.y !== undefined && this._isPointInWorkArea(state.x, state.y, workArea)) {
-                targetX = state.x;
-                targetY = state.y;
-            }
+        let list = parseDiagnostics(this._settings.get_string('restore-diagnostics'));
+        for (const entry of this._pendingDiagnostics) list = recordDiagnostic(list, entry);
+        this._pendingDiagnostics = [];
+        this._settings.set_string('restore-diagnostics', JSON.stringify(list));
+    }
 
-            if (config.avoid_overlap !== false) {
-                // Avoid overlapping with existing windows of the same class
-                [targetX, targetY] = this._findFreePosition(workspace, window, identity, targetX, targetY);
+    // How the last restore of a managed window went (see diagnostics.js), or
+    // null if it hasn't been restored or checked yet. Public for windowMenu.js.
+    restoreResultFor(window) {
+        return this._handles.get(window)?.restoreResult || null;
+    }
+
+    // The user grabbed a just-restored window: stop holding its geometry,
+    // and check the restore now, before their change counts against it.
+    _endRestoreHold(handle) {
+        this._stopEnforcing(handle);
+        handle.verification?.run();
+    }
+
+    _stopEnforcing(handle) {
+        const enforce = handle.enforce;
+        if (!enforce) return;
+
+        if (enforce.timeoutId) GLib.source_remove(enforce.timeoutId);
+        if (enforce.idleId) GLib.source_remove(enforce.idleId);
+        handle.enforce = null;
+    }
+
+    // The restore half of _applySavedState: moves a window to the given state
+    // (geometry, monitor, workspace and states) as far as the config's
+    // restore_* flags allow. `exact` says the state is this window's own, so
+    // it isn't offset to avoid siblings. Also used to apply layout snapshots.
+    // Returns { frame, problems }: the frame applied, or null when the window
+    // was left maximized, tiled or fullscreen (or not moved at all), and what
+    // couldn't be restored as saved (see diagnostics.js) — or null if the
+    // window went away.
+    _restoreState(window, identity, config, state, exact) {
+        if (!window.get_workspace()) return null;
+
+        const problems = [];
+
+        const rect = window.get_frame_rect();
 
-                // Final check to ensure we didn't drift out of the work area completely
-                // If we did, we might want to clamp or just accept it.
-                // For now, let's just clamp the top-left to be somewhat visible.
-                if (targetX > workArea.x + workArea.width - 50) targetX = workArea.x + workArea.width - 50;
-                if (targetY > workArea.y + workArea.height - 50) targetY = workArea.y + workArea.height - 50;
+        // Retrieve target dimensions
+        let targetW = rect.width;
+        let targetH = rect.height;
+
+        // Restore size if requested and available
+        const restoreSize = !!(config.restore_size && state.width && state.height && state.width > 50 && state.height > 50);
+        if (restoreSize) {
+            targetW = state.width;
+            targetH = state.height;
+        }
+
+        // Before we can determine the work area, we need to make sure the window is located on the correct monitor.
+        // So, if we are restoring position, then check and move to the saved monitor. It is looked up by its
+        // stable identity first; the saved index is only trusted when no identity was recorded.
+        const targetMonitor = this._monitors.resolve(state.monitor_id, state.monitor ?? 0);
+        const monitorConnected = targetMonitor >= 0 && targetMonitor < global.display.get_n_monitors();
+        if (config.restore_pos && (state.monitor_id || state.monitor !== undefined) && !monitorConnected)
+            problems.push('monitor-missing');
+        // The saved monitor may no longer exist (monitor unplugged, layout changed since last save).
+        // Passing an out-of-range index to move_to_monitor() hits a fatal assertion in Mutter and crashes
+        // the whole gnome-shell process, so it must be validated against the currently connected monitors.
+        if (config.restore_pos && targetMonitor !== window.get_monitor() && monitorConnected) {
+          // Restore (move) the window to the saved monitor
+          window.move_to_monitor(targetMonitor);
+        }
+
+        // Retrieve target position
+        let targetX = rect.x;
+        let targetY = rect.y;
+        const monitorIndex = window.get_monitor();
+        const workspace = window.get_workspace();
+        if (!workspace) return null;
+
+        const workArea = workspace.get_work_area_for_monitor(monitorIndex);
+        if (!workArea) return null;
+
+        // Scale the saved geometry to this work area if the rule stores it resolution-independently
+        const saved = adaptToWorkArea(config.position_mode, state, workArea, targetW, targetH, restoreSize);
+        targetW = saved.width;
+        targetH = saved.height;
+
+        // Default to centered position as fallback
+        targetX = workArea.x + (workArea.width - targetW) / 2;
+        targetY = workArea.y + (workArea.height - targetH) / 2;
+
+        // Restore position if requested and valid
+        if (config.restore_pos && saved.x !== undefined && saved.y !== undefined) {
+            if (this._isPointInWorkArea(saved.x, saved.y, workArea)) {
+                targetX = saved.x;
+                targetY = saved.y;
+            } else {
+                problems.push('clamped');
             }
+        }
 
-            debug(`[DejaWindow] Applying State for ${identity}: ${targetW}x${targetH} @ ${targetX},${targetY}`);
+        // A window restored from its own slot goes exactly where it was; only
+        // one borrowing another slot's position can land on top of a sibling.
+        if (config.avoid_overlap !== false && !exact) {
+            // Avoid overlapping with existing windows of the same identity
+            [targetX, targetY] = this._findFreePosition(workspace, window, identity, targetX, targetY);
+
+            // Final check to ensure we didn't drift out of the work area completely
+            // If we did, we might want to clamp or just accept it.
+            // For now, let's just clamp the top-left to be somewhat visible.
+            if (targetX > workArea.x + workArea.width - 50) targetX = workArea.x + workArea.width - 50;
+            if (targetY > workArea.y + workArea.height - 50) targetY = workArea.y + workArea.height - 50;
+        }
 
-            const isMaximized = window.maximized_horizontally || window.maximized_vertically;
+        debug(`[DejaWindow] Applying State for ${identity}: ${targetW}x${targetH} @ ${targetX},${targetY}`);
 
-            // If the window is already maximized and we are NOT configured to restore maximized state,
-            // we should not interfere (do not unmaximize, do not apply geometry).
-            // If we ARE configured to restore maximized state, we proceed to unmaximize and apply geometry
-            // so that the "underlying" normal state is correct.
-            if (!isMaximized || config.restore_maximized) {
-                if (isMaximized) {
-                    this._unmaximizeWindow(window);
-                }
-                // Apply geometry
-                window.move_resize_frame(true, targetX, targetY, targetW, targetH);
+        // Leave fullscreen first when the saved state isn't fullscreen:
+        // geometry can't be applied to a fullscreen window.
+        const fullscreen = restoredValue(config, 'restore_fullscreen', state.fullscreen);
+        if (config.restore_fullscreen && window.fullscreen && !fullscreen) {
+            window.unmake_fullscreen();
+        }
+
+        const isMaximized = window.maximized_horizontally || window.maximized_vertically;
+
+        // If the window is already maximized (or tiled) and we are NOT configured to restore that state,
+        // we should not interfere (do not unmaximize, do not apply geometry).
+        // If we ARE configured to restore it, we proceed to unmaximize and apply geometry
+        // so that the "underlying" normal state is correct.
+        let applied = null;
+        if (!isMaximized || config.restore_maximized || config.restore_tiled) {
+            if (isMaximized) {
+                this._unmaximizeWindow(window);
             }
+            // Apply geometry
+            window.move_resize_frame(true, targetX, targetY, targetW, targetH);
+            applied = { x: Math.round(targetX), y: Math.round(targetY), width: targetW, height: targetH };
+        }
+
+        this._restoreWindowStates(window, config, state, problems);
 
-            // Restore Workspace
-            if (config.restore_workspace && state.workspace !== undefined && state.workspace !== -1) {
-                const ws = global.workspace_manager.get_workspace_by_index(state.workspace);
-                if (ws) {
-                    if (ws !== window.get_workspace()) window.change_workspace(ws);
-
-                    // Switch to desktop if configured
-                    if (config.switch_to_workspace && ws !== global.workspace_manager.get_active_workspace()) {
-                        const h = this._handles.get(window);
-                        if (h) {
-                            // Clear any pending timeout
-                            if (h.wsTimeoutId) {
-                                GLib.source_remove(h.wsTimeoutId);
-                                h.wsTimeoutId = 0;
-                            }
-
-                            // Slight delay to ensure the window is visually positioned before switching
-                            h.wsTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
-                                ws.activate(global.get_current_time());
-                                h.wsTimeoutId = 0;
-                                return GLib.SOURCE_REMOVE;
-                            });
+        // Apply Maximized State, or else the tile on top of the normal geometry applied above
+        if (restoredValue(config, 'restore_maximized', state.maximized)) {
+            this._maximizeWindow(window);
+            applied = null;
+        } else if (config.restore_tiled && state.tile) {
+            this._tileWindow(window, state.tile);
+            applied = null;
+        }
+
+        // Restore Fullscreen, last, since it covers whatever geometry was applied above
+        if (fullscreen && !window.fullscreen) {
+            window.make_fullscreen();
+            applied = null;
+        }
+        return { frame: applied, problems };
+    }
+
+    // The part of _restoreState that doesn't touch the window's frame, and
+    // that a fixed_geometry leaves to the saved state: workspace, sticky,
+    // above and minimized. Adds what couldn't be restored to `problems`.
+    _restoreWindowStates(window, config, state, problems) {
+        // Restore Workspace
+        if (config.restore_workspace && state.workspace !== undefined && state.workspace !== -1) {
+            const ws = global.workspace_manager.get_workspace_by_index(state.workspace);
+            if (ws) {
+                if (ws !== window.get_workspace()) window.change_workspace(ws);
+
+                // Switch to desktop if configured
+                if (config.switch_to_workspace && ws !== global.workspace_manager.get_active_workspace()) {
+                    const h = this._handles.get(window);
+                    if (h) {
+                        // Clear any pending timeout
+                        if (h.wsTimeoutId) {
+                            GLib.source_remove(h.wsTimeoutId);
+                            h.wsTimeoutId = 0;
                         }
+
+                        // Slight delay to ensure the window is visually positioned before switching
+                        h.wsTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
+                            ws.activate(global.get_current_time());
+                            h.wsTimeoutId = 0;
+                            return;
+                        });
                     }
                 }
+            } else {
+                problems.push('workspace-missing');
             }
+        }
 
-            // Restore Always on Visible Workspace (Sticky)
-            // Each of the three toggles below is applied only when it actually differs from the
-            // window's current state: these Meta calls are not free no-ops. In particular
-            // make_above()/unmake_above() raise the window to the top of the stack, so calling
-            // unmake_above() on a window that is already not above still brings it to the front.
-            if (config.restore_sticky && state.sticky !== undefined && state.sticky !== window.on_all_workspaces) {
-                state.sticky ? window.stick() : window.unstick();
-            }
-
-            // Restore Always on Top (Above)
-            if (config.restore_above && state.above !== undefined && state.above !== window.above) {
-                state.above ? window.make_above() : window.unmake_above();
-            }
+        // Restore Always on Visible Workspace (Sticky)
+        // Each of the three toggles below is applied only when it actually differs from the
+        // window's current state: these Meta calls are not free no-ops. In particular
+        // make_above()/unmake_above() raise the window to the top of the stack, so calling
+        // unmake_above() on a window that is already not above still brings it to the front.
+        const sticky = restoredValue(config, 'restore_sticky', state.sticky);
+        if (sticky !== undefined && sticky !== window.on_all_workspaces) {
+            sticky ? window.stick() : window.unstick();
+        }
 
-            // Restore Minimized
-            if (config.restore_minimized && state.minimized !== undefined && state.minimized !== window.minimized) {
-                state.minimized ? window.minimize() : window.unminimize();
-            }
+        // Restore Always on Top (Above)
+        const above = restoredValue(config, 'restore_above', state.above);
+        if (above !== undefined && above !== window.above) {
+            above ? window.make_above() : window.unmake_above();
+        }
 
-            // Apply Maximized State
-            if (config.restore_maximized && state.maximized) {
-                this._maximizeWindow(window);
-            }
+        // Restore Minimized
+        const minimized = restoredValue(config, 'restore_minimized', state.minimized);
+        if (minimized !== undefined && minimized !== window.minimized) {
+            minimized ? window.minimize() : window.unminimize();
+        }
+    }
 
-            return GLib.SOURCE_REMOVE;
-        });
+    // What _performSave records of a window, as it is right now: its monitor,
+    // frame rect, maximized/tile/fullscreen state, workspace index (-1 when
+    // it has none) and minimized, above and sticky flags.
+    _windowSaveState(window) {
+        const workspace = window.get_workspace();
+        return {
+            monitorIndex: window.get_monitor(),
+            rect: window.get_frame_rect(),
+            isMaximized: window.maximized_horizontally && window.maximized_vertically,
+            tile: this._tileMode(window),
+            fullscreen: window.fullscreen,
+            workspaceIndex: workspace ? workspace.index() : -1,
+            minimized: window.minimized,
+            above: window.above,
+            sticky: window.on_all_workspaces,
+        };
     }
 
     // Saves the current window geometry to GSettings for persistence across sessions.
-    _performSave(identity, monitorIndex, x, y, w, h, config, isMaximized, workspaceIndex, minimized, above, sticky) {
+    // Takes the window's identity and slot, the rule's options to save by
+    // (config) and what _windowSaveState read of the window.
+    _performSave({ identity, slot, config, monitorIndex, rect, isMaximized, tile, fullscreen, workspaceIndex, minimized, above, sticky }) {
         if (!this._settings) return;
+        const { x, y, width: w, height: h } = rect;
 
-        debug(`[DejaWindow] Saving State for ${identity}: ${w}x${h} @ ${x},${y}`);
+        debug(`[DejaWindow] Saving State for ${identity} (slot ${slot}): ${w}x${h} @ ${x},${y}`);
 
         let savedStates = {};
         try {
@@ -938,71 +1920,114 @@ export default class DejaWindowExtension extends Extension {
             savedStates = {};
         }
 
+        let changed = false;
+
         // Initialize state for this window if it doesn't exist
         if (!savedStates[identity]) {
             savedStates[identity] = {};
         }
-
-        let changed = false;
+        // Which rule a templated record belongs to (see RECORD_META_KEYS)
+        const rule = ruleKey(config);
+        if (config.state_key && identity !== rule && savedStates[identity].rule !== rule) {
+            savedStates[identity].rule = rule;
+            changed = true;
+        }
+        const profile = ensureLayoutProfile(savedStates[identity], this._monitors.layoutSignature());
+        const state = ensureInstanceState(profile, slot);
 
         // Save Workspace
-        if (config.restore_workspace && workspaceIndex !== -1 && savedStates[identity].workspace !== workspaceIndex) {
-            savedStates[identity].workspace = workspaceIndex;
+        if (config.restore_workspace && workspaceIndex !== -1 && state.workspace !== workspaceIndex) {
+            state.workspace = workspaceIndex;
             changed = true;
         }
-        // Save Minimized
-        if (config.restore_minimized && savedStates[identity].minimized !== minimized) {
-            savedStates[identity].minimized = minimized;
+        // Save Minimized. Here and below, on/off states are only saved in "remember"
+        // mode: a forced one (see restoredValue) doesn't depend on history.
+        if (config.restore_minimized === true && state.minimized !== minimized) {
+            state.minimized = minimized;
             changed = true;
         }
         // Save Above
-        if (config.restore_above && savedStates[identity].above !== above) {
-            savedStates[identity].above = above;
+        if (config.restore_above === true && state.above !== above) {
+            state.above = above;
             changed = true;
         }
         // Save Sticky
-        if (config.restore_sticky && savedStates[identity].sticky !== sticky) {
-            savedStates[identity].sticky = sticky;
+        if (config.restore_sticky === true && state.sticky !== sticky) {
+            state.sticky = sticky;
             changed = true;
         }
 
         // If we are restoring position and the monitor is different, then save the new monitor
         if (config.restore_pos
-              && (monitorIndex !== 0 || savedStates[identity].monitor !== undefined)
-              && savedStates[identity].monitor !== monitorIndex) {
-            savedStates[identity].monitor = monitorIndex;
+              && (monitorIndex !== 0 || state.monitor !== undefined)
+              && state.monitor !== monitorIndex) {
+            state.monitor = monitorIndex;
             changed = true;
         }
+        // Alongside the index, the monitor's stable identity, which restore prefers
+        if (config.restore_pos) {
+            const monitorId = this._monitors.identify(monitorIndex);
+            if (monitorId && !sameMonitorId(state.monitor_id, monitorId)) {
+                state.monitor_id = monitorId;
+                changed = true;
+            }
+        }
 
-        // If maximized, we only save the maximized flag, NOT the current coordinates (which would be full screen).
-        // Otherwise, we would overwrite the "normal" dimensions with the full-screen ones.
-        if (isMaximized) {
-            if (config.restore_maximized && savedStates[identity].maximized !== true) {
-                savedStates[identity].maximized = true;
+        // Save Tile (null when the window isn't tiled, including when fully maximized)
+        if (config.restore_tiled && (state.tile ?? null) !== tile) {
+            state.tile = tile;
+            changed = true;
+        }
+
+        // Save Fullscreen
+        if (config.restore_fullscreen === true && state.fullscreen !== fullscreen) {
+            state.fullscreen = fullscreen;
+            changed = true;
+        }
+
+        // If maximized, tiled or fullscreen, we only save those flags, NOT the current coordinates (which
+        // would be full screen or half of it). Otherwise, we would overwrite the "normal" dimensions with them.
+        if (fullscreen) {
+            // We don't save w/h/x/y, nor the maximized/tile state hidden under fullscreen.
+        } else if (isMaximized || tile) {
+            if (config.restore_maximized === true && state.maximized !== isMaximized) {
+                state.maximized = isMaximized;
                 changed = true;
             }
             // We don't save w/h/x/y when maximized to preserve the "unmaximized" state.
         } else {
             // If not maximized, we save dimensions and position and set maximized to false
-            if (config.restore_maximized && savedStates[identity].maximized !== false) {
-                savedStates[identity].maximized = false;
+            if (config.restore_maximized === true && state.maximized !== false) {
+                state.maximized = false;
                 changed = true;
             }
             if (config.restore_size && w > 50 && h > 50) {
-                savedStates[identity].width = w;
-                savedStates[identity].height = h;
+                state.width = w;
+                state.height = h;
                 changed = true;
             }
             if (config.restore_pos && x > -10000 && y > -10000) {
-                savedStates[identity].x = x;
-                savedStates[identity].y = y;
+                state.x = x;
+                state.y = y;
                 changed = true;
             }
+            // The work area the geometry above was measured against, which lets
+            // position_mode 'relative'/'anchored' rules scale it to another one.
+            // Always recorded, so switching a rule's mode later just works.
+            if ((config.restore_pos || config.restore_size) && monitorIndex >= 0 &&
+                monitorIndex < global.display.get_n_monitors()) {
+                const area = Main.layoutManager.getWorkAreaForMonitor(monitorIndex);
+                if (area) {
+                    state.work_area = { x: area.x, y: area.y, width: area.width, height: area.height };
+                    changed = true;
+                }
+            }
         }
 
         // Save changes if any
         if (changed) {
             this._settings.set_string('window-app-states', JSON.stringify(savedStates));
+            this._savedStatesCache = null;
         }
     }
 
@@ -1039,10 +2064,10 @@ export default class DejaWindowExtension extends Extension {
         // Get all windows on the same workspace
         const windows = workspace.list_windows();
 
-        // Filter for windows of the same class that are visible (not hidden/minimized)
+        // Filter for windows managed under the same identity that are visible (not hidden/minimized)
         const others = windows.filter(w => {
             return w !== window &&
-                w.get_wm_class() === identity &&
+                this._handles.get(w)?.identity === identity &&
                 !w.minimized &&
                 w.showing_on_its_workspace();
         });
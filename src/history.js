@@ -0,0 +1,85 @@
+// The window history (window-history key) feeding the prefs pickers: which
+// app each WM_CLASS seen belongs to, and the titles seen with it. Shared by the
+// extension, which records it, and by prefs.js, which reads and prunes it, so
+// like patterns.js nothing here may import a shell-only module.
+//
+// Format: { "<wm_class>": { app_id, last_seen, titles: [{ title, last_seen }] } },
+// last_seen in Unix seconds and titles newest first. Both levels are LRU:
+// past their cap, the entries seen longest ago are dropped first.
+
+// Titles kept per WM_CLASS, and WM_CLASSes kept in all.
+export const MAX_TITLES_PER_CLASS = 20;
+export const MAX_CLASSES = 200;
+
+// How stale a last_seen may get before seeing the window again rewrites it.
+// Recording runs on every title change (terminals retitle on each command),
+// and day-scale pruning doesn't need to-the-second dates.
+const LAST_SEEN_RESOLUTION_S = 60 * 60;
+
+// Parses window-history, bringing entries into the current format: titles
+// were once plain strings, without a date.
+export function parseHistory(json) {
+    let history;
+    try {
+        history = JSON.parse(json);
+    } catch (e) {
+        return {};
+    }
+    if (!history || typeof history !== 'object') return {};
+
+    for (const entry of Object.values(history)) {
+        entry.last_seen = entry.last_seen || 0;
+        entry.titles = (entry.titles || []).map(t =>
+            typeof t === 'string' ? { title: t, last_seen: entry.last_seen } : t);
+    }
+    return history;
+}
+
+// Records a window seen now: its class, app id and title (the latter two
+// optional). Returns whether the history changed and needs writing back.
+export function recordWindow(history, { wmClass, appId, title }, now) {
+    if (!wmClass) return false;
+
+    const entry = history[wmClass];
+    const known = entry && (!appId || entry.app_id === appId) &&
+        now - entry.last_seen < LAST_SEEN_RESOLUTION_S &&
+        (!title || (entry.titles[0] && entry.titles[0].title === title &&
+            now - entry.titles[0].last_seen < LAST_SEEN_RESOLUTION_S));
+    if (known) return false;
+
+    const updated = entry || { app_id: null, last_seen: now, titles: [] };
+    if (appId) updated.app_id = appId;
+    updated.last_seen = now;
+    if (title) {
+        updated.titles = [{ title, last_seen: now }, ...updated.titles.filter(t => t.title !== title)]
+            .slice(0, MAX_TITLES_PER_CLASS);
+    }
+    history[wmClass] = updated;
+
+    const classes = Object.keys(history);
+    if (classes.length > MAX_CLASSES) {
+        classes.sort((a, b) => history[a].last_seen - history[b].last_seen)
+            .slice(0, classes.length - MAX_CLASSES)
+            .forEach(wmClass => delete history[wmClass]);
+    }
+    return true;
+}
+
+// Drops what hasn't been seen since `before` (Unix seconds): titles, and
+// classes along with all their titles. Returns how many titles and classes
+// were dropped, as { titles, classes }.
+export function pruneHistory(history, before) {
+    const dropped = { titles: 0, classes: 0 };
+    for (const [wmClass, entry] of Object.entries(history)) {
+        if (entry.last_seen < before) {
+            dropped.classes++;
+            dropped.titles += entry.titles.length;
+            delete history[wmClass];
+            continue;
+        }
+        const titles = entry.titles.filter(t => t.last_seen >= before);
+        dropped.titles += entry.titles.length - titles.length;
+        entry.titles = titles;
+    }
+    return dropped;
+}
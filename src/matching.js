@@ -0,0 +1,136 @@
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import { patternMatches, patternRegExp, patternTypeOf, ruleKey } from './patterns.js';
+
+// The ids of the app owning a window, as far as they can be told: the desktop
+// file id Shell's window tracker resolved it to (without ".desktop"), the
+// Flatpak/Snap sandbox app id and the GTK application id. Usually one app
+// spelled the ways a rule may name it, and the only reliable way to tell
+// sandboxed apps apart when their WM_CLASS is useless or shared.
+export function appIds(window) {
+    const ids = [];
+    const app = Shell.WindowTracker.get_default().get_window_app(window);
+    const appId = app ? app.get_id() : null;
+    // Windows of no known app get a made-up "window:N" app, which names nothing.
+    if (appId && !appId.startsWith('window:')) ids.push(appId.replace(/\.desktop$/, ''));
+
+    for (const id of [window.get_sandboxed_app_id(), window.get_gtk_application_id()]) {
+        if (id && !ids.includes(id)) ids.push(id);
+    }
+    return ids;
+}
+
+// What rules can be matched against, read off a window once so a rule and its
+// conditions all look at the same values: WM_CLASS, title, the app ids (see
+// appIds), the lowercase Meta.WindowType name ('normal', 'dialog',
+// 'utility'…), and whether it's a dialog — of a dialog type, or transient for
+// another window.
+export function windowFacts(window) {
+    const type = window.get_window_type();
+    const typeName = Object.keys(Meta.WindowType).find(name => Meta.WindowType[name] === type);
+
+    return {
+        wm_class: window.get_wm_class(),
+        title: window.get_title(),
+        app_ids: appIds(window),
+        window_type: typeName ? typeName.toLowerCase() : null,
+        dialog: type === Meta.WindowType.DIALOG || type === Meta.WindowType.MODAL_DIALOG ||
+            !!window.get_transient_for(),
+    };
+}
+
+// The values a pattern on the given field (a match_mode, or a condition's
+// field) is tested against; it matches if any of them does.
+function fieldValues(field, facts) {
+    if (field === 'title') return [facts.title];
+    if (field === 'app_id') return facts.app_ids;
+    return [facts.wm_class];
+}
+
+function conditionMatches(condition, facts) {
+    let matches;
+    if (condition.field === 'dialog')
+        matches = facts.dialog;
+    else if (condition.field === 'window_type')
+        matches = facts.window_type === condition.pattern;
+    else
+        matches = fieldValues(condition.field, facts)
+            .some(value => patternMatches(condition.pattern, patternTypeOf(condition), value));
+
+    return condition.negate ? !matches : matches;
+}
+
+/**
+ * Rule matching, shared by DejaWindowExtension and DejaWindowMenu so the
+ * window menu always agrees with what the extension actually applies.
+ *
+ * A rule (or a Global Defaults exclusion, which has the same shape) matches a
+ * window's facts (see windowFacts) when its pattern — the `wm_class` field,
+ * compared to the class, the title or the app ids depending on match_mode
+ * ('wm_class' | 'title' | 'app_id') and its pattern_type (see patterns.js) —
+ * matches, AND so does every entry of its optional `conditions` list:
+ *
+ *   { field: 'wm_class' | 'title' | 'app_id' | 'window_type' | 'dialog',
+ *     pattern, pattern_type, negate }
+ *
+ * 'window_type' compares the pattern to the type name, 'dialog' takes no
+ * pattern, and `negate` turns the condition into an "and not". A rule without
+ * conditions matches exactly as it always has. Whether the rule is enabled is
+ * left to the caller.
+ */
+export function configMatches(config, facts) {
+    const values = fieldValues(config.match_mode || 'wm_class', facts);
+    const patternType = patternTypeOf(config);
+    if (!values.some(value => patternMatches(config.wm_class, patternType, value))) return false;
+
+    return (config.conditions || []).every(condition => conditionMatches(condition, facts));
+}
+
+// The regex captures of a rule's pattern against the first of the window's
+// values it matches: numbered groups by their number, named ones by name.
+// Empty for any other pattern type, which has no groups.
+function patternCaptures(config, facts) {
+    if (patternTypeOf(config) !== 'regex') return {};
+
+    const regex = patternRegExp(config.wm_class, 'regex');
+    if (!regex) return {};
+    for (const value of fieldValues(config.match_mode || 'wm_class', facts)) {
+        const match = value ? regex.exec(value) : null;
+        if (!match) continue;
+
+        const captures = { ...match.groups };
+        for (let i = 1; i < match.length; i++) captures[i] = match[i];
+        return captures;
+    }
+    return {};
+}
+
+/**
+ * The key a window's state is saved under in window-app-states, for the rule
+ * governing it. Normally the rule's pattern (with its conditions, see
+ * ruleKey), so every window the rule matches shares one record (one slot per
+ * open window). A rule with a `state_key` template instead gets a record per
+ * distinct key, e.g. one per project for `^(.*) - Visual Studio Code$` with
+ * the template `{1}`.
+ *
+ * The template's placeholders are `{class}`, `{title}`, `{app}` (the first app
+ * id), and the regex pattern's capture groups, by number (`{1}`) or by name
+ * (`{project}` for `(?<project>…)`). Anything unknown or unmatched is left
+ * empty; a template that comes out empty falls back to the rule's own key.
+ */
+export function stateKey(config, facts) {
+    if (!config.state_key) return ruleKey(config);
+
+    const captures = patternCaptures(config, facts);
+    const fields = {
+        class: facts.wm_class,
+        title: facts.title,
+        app: facts.app_ids[0],
+    };
+    // Captures first: a group named like a field is the more specific one.
+    const key = config.state_key.replace(/\{(\w+)\}/g, (_, name) => {
+        const value = name in captures ? captures[name] : fields[name];
+        return value ?? '';
+    });
+    return key.trim() || ruleKey(config);
+}
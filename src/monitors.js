@@ -0,0 +1,220 @@
+import Gio from 'gi://Gio';
+
+const DISPLAY_CONFIG_NAME = 'org.gnome.Mutter.DisplayConfig';
+const DISPLAY_CONFIG_PATH = '/org/gnome/Mutter/DisplayConfig';
+
+// Whether two stored monitor identities describe the same physical screen.
+export function sameMonitorId(a, b) {
+    if (!a || !b) return false;
+    return a.connector === b.connector && a.vendor === b.vendor &&
+        a.product === b.product && a.serial === b.serial;
+}
+
+// Whether an identity carries EDID data worth matching on. Connectors without
+// EDID (some virtual or very old outputs) report empty or 'unknown' fields.
+function hasEdid(id) {
+    return !!id && !!id.vendor && id.vendor !== 'unknown' && !!id.product && id.product !== 'unknown';
+}
+
+// The part of a layout signature naming one screen: its EDID when it has one,
+// so the same screen on another port still counts as the same layout.
+function monitorKey(id) {
+    return hasEdid(id) ? `${id.vendor}:${id.product}:${id.serial}` : id.connector;
+}
+
+// Splits a layout signature back into its screens ({ key, geometry }).
+function parseSignature(signature) {
+    return signature.split('|').map(part => {
+        const at = part.lastIndexOf('@');
+        return { key: part.slice(0, at), geometry: part.slice(at + 1) };
+    });
+}
+
+// Picks, among known layout signatures, the one closest to the given one: the
+// most screens in common (each worth more when it also kept its geometry),
+// then the smallest difference in screen count. Returns null if none is known.
+export function nearestLayout(signature, candidates) {
+    const current = parseSignature(signature);
+
+    let best = null;
+    let bestScore = -Infinity;
+    for (const candidate of candidates) {
+        const monitors = parseSignature(candidate);
+        let score = -Math.abs(monitors.length - current.length);
+        for (const monitor of current) {
+            const same = monitors.find(m => m.key === monitor.key);
+            if (same) score += same.geometry === monitor.geometry ? 3 : 2;
+        }
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+// The layout signature (see MonitorTracker.layoutSignature) of a set of
+// screens, each given as { id, geometry: { x, y, width, height } }. Shared with
+// prefs.js, which has no MonitorTracker but needs to find the same profiles.
+export function layoutSignature(monitors) {
+    return monitors
+        .map(({ id, geometry }) => `${monitorKey(id)}@${geometry.x},${geometry.y},${geometry.width}x${geometry.height}`)
+        // Sorted, so the signature doesn't depend on enumeration order either.
+        .sort().join('|');
+}
+
+// Asks Mutter's DisplayConfig for the identity of every monitor it knows,
+// enabled or not. onDone gets [{ connector, vendor, product, serial }], or
+// null on error; it isn't called once `cancellable` is cancelled.
+export function readMonitorIdentities(cancellable, onDone) {
+    Gio.DBus.session.call(DISPLAY_CONFIG_NAME, DISPLAY_CONFIG_PATH, DISPLAY_CONFIG_NAME,
+        'GetCurrentState', null, null, Gio.DBusCallFlags.NONE, -1, cancellable,
+        (connection, result) => {
+            let reply;
+            try {
+                reply = connection.call_finish(result);
+            } catch (e) {
+                if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) return;
+                console.error('[DejaWindow] Error reading monitor configuration:', e);
+                onDone(null);
+                return;
+            }
+
+            // (serial, monitors, logical_monitors, properties); each monitor
+            // starts with its (connector, vendor, product, serial) spec.
+            const [, monitors] = reply.deepUnpack();
+            onDone(monitors.map(([[connector, vendor, product, serial]]) => ({ connector, vendor, product, serial })));
+        });
+}
+
+/**
+ * Keeps a stable identity (connector name plus the EDID vendor/product/serial)
+ * for each connected monitor, so saved states can point at a physical screen
+ * instead of Mutter's monitor index — which is just the order monitors happen
+ * to be enumerated in, and changes whenever a dock is plugged in differently.
+ *
+ * Mutter only exposes those EDID details over its DisplayConfig D-Bus
+ * interface. It is served by this very process, so the call has to be async
+ * (a sync call would deadlock the shell on itself): the result is cached here,
+ * refreshed on every monitors-changed, and mapped back to monitor indexes with
+ * MonitorManager.get_monitor_for_connector(), the same lookup the shell's own
+ * monitor labeler uses.
+ *
+ * `callbacks.changing` runs as soon as the monitor configuration changes,
+ * `callbacks.changed` once the identities of the new configuration are known.
+ * Neither runs for the initial read in enable(). `callbacks.known` runs after
+ * every read, the initial one included, whenever isKnown() turns true.
+ */
+export class MonitorTracker {
+    constructor(callbacks = {}) {
+        this._callbacks = callbacks;
+        this._monitors = [];
+        this._known = false;
+        this._monitorManager = null;
+        this._cancellable = null;
+    }
+
+    enable() {
+        if (this._monitorManager) return;
+
+        this._monitorManager = global.backend.get_monitor_manager();
+        this._monitorManager.connectObject('monitors-changed', () => {
+            // Until the new identities arrive the cached ones describe the old
+            // layout, and mapping them onto the new indexes would be wrong.
+            this._monitors = [];
+            this._known = false;
+            this._callbacks.changing?.();
+            this._refresh(true);
+        }, this);
+        this._refresh(false);
+    }
+
+    disable() {
+        if (this._cancellable) {
+            this._cancellable.cancel();
+            this._cancellable = null;
+        }
+        if (this._monitorManager) {
+            this._monitorManager.disconnectObject(this);
+            this._monitorManager = null;
+        }
+        this._monitors = [];
+        this._known = false;
+    }
+
+    // Whether the identities of the current monitors have been read, so
+    // layoutSignature() names the current layout rather than none. Also true
+    // once reading them failed: there's nothing to wait for then.
+    isKnown() {
+        return this._known;
+    }
+
+    // The identity of the monitor at the given index, or null if it isn't
+    // known (yet): the first D-Bus reply arrives shortly after enable().
+    identify(index) {
+        const monitor = this._monitors.find(m => m.index === index);
+        if (!monitor) return null;
+
+        const { connector, vendor, product, serial } = monitor;
+        return { connector, vendor, product, serial };
+    }
+
+    // A string identifying the current monitor layout — which screens are
+    // connected and where — used to keep a separate set of saved states per
+    // setup (e.g. docked vs. laptop only). Null while identities are unknown.
+    layoutSignature() {
+        if (this._monitors.length === 0) return null;
+
+        const monitors = [];
+        const count = global.display.get_n_monitors();
+        for (let index = 0; index < count; index++) {
+            const id = this.identify(index);
+            if (!id) return null;
+
+            monitors.push({ id, geometry: global.display.get_monitor_geometry(index) });
+        }
+        return layoutSignature(monitors);
+    }
+
+    // Resolves a stored identity back to the current index of that monitor.
+    // EDID wins over the connector (the same screen may come back on another
+    // port), with the connector only breaking ties between identical screens.
+    // A screen with known EDID that isn't connected resolves to -1 rather than
+    // to whatever now sits on its old port or index. The stored index is only
+    // used as-is when there's no identity to go by.
+    resolve(id, fallbackIndex) {
+        if (!id || this._monitors.length === 0) return fallbackIndex;
+
+        if (hasEdid(id)) {
+            const candidates = this._monitors.filter(m =>
+                m.vendor === id.vendor && m.product === id.product && m.serial === id.serial);
+            if (candidates.length === 0) return -1;
+            return (candidates.find(m => m.connector === id.connector) || candidates[0]).index;
+        }
+
+        const byConnector = this._monitors.find(m => m.connector === id.connector);
+        return byConnector ? byConnector.index : fallbackIndex;
+    }
+
+    _refresh(notify) {
+        if (this._cancellable) this._cancellable.cancel();
+        const cancellable = new Gio.Cancellable();
+        this._cancellable = cancellable;
+
+        readMonitorIdentities(cancellable, monitors => {
+            if (this._cancellable !== cancellable) return;
+            this._cancellable = null;
+            this._known = true;
+
+            if (monitors) {
+                this._monitors = monitors
+                    .map(id => ({ index: this._monitorManager.get_monitor_for_connector(id.connector), ...id }))
+                    // Disabled outputs are listed too, but have no index.
+                    .filter(m => m.index >= 0);
+
+                if (notify) this._callbacks.changed?.();
+            }
+            this._callbacks.known?.();
+        });
+    }
+}
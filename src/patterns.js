@@ -0,0 +1,98 @@
+// Pattern comparison, and the key a rule's saved state goes under, shared by
+// the extension (through matching.js) and by prefs.js, which runs in its own
+// process without Meta or Shell and so can't import matching.js itself.
+// Nothing here may import a shell-only module.
+
+// How a rule's pattern is compared to a value, by `pattern_type`:
+//   'exact'    — the same string
+//   'contains' — a substring, ignoring case
+//   'glob'     — a shell-style wildcard (* and ?) covering the whole value
+//   'regex'    — a JavaScript regular expression
+// Rules saved before pattern_type existed only have is_regex, which is still
+// written alongside (true for 'regex') so they read the same either way.
+export const PATTERN_TYPES = ['exact', 'contains', 'glob', 'regex'];
+
+export function patternTypeOf(rule) {
+    if (PATTERN_TYPES.includes(rule.pattern_type)) return rule.pattern_type;
+    return rule.is_regex ? 'regex' : 'exact';
+}
+
+// A glob as an anchored regex: * for any run of characters, ? for any one,
+// everything else literal.
+export function globToRegExp(glob) {
+    let source = '';
+    for (const char of glob) {
+        if (char === '*') source += '.*';
+        else if (char === '?') source += '.';
+        else source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// Compiled glob and regex patterns, by type and pattern: matching runs for
+// every window on each title change and save, so each is compiled (and an
+// invalid one logged) once. Emptied past a bound, for prefs' live preview,
+// which compiles every pattern as it's typed.
+const compiledPatterns = new Map();
+const MAX_COMPILED_PATTERNS = 200;
+
+// The RegExp a glob or regex pattern stands for, or null for an invalid regex
+// (prefs refuses to save one, but dconf edits can still get in).
+export function patternRegExp(pattern, patternType) {
+    const key = `${patternType}:${pattern}`;
+    if (compiledPatterns.has(key)) return compiledPatterns.get(key);
+
+    let regex = null;
+    if (patternType === 'glob') {
+        regex = globToRegExp(pattern);
+    } else {
+        try {
+            regex = new RegExp(pattern);
+        } catch (e) {
+            console.error(`[DejaWindow] Invalid regex in rule: ${pattern}`, e);
+        }
+    }
+    if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) compiledPatterns.clear();
+    compiledPatterns.set(key, regex);
+    return regex;
+}
+
+// Whether a pattern of the given type matches a value. An invalid regex never
+// matches, and neither does a missing pattern (a condition still being filled
+// in).
+export function patternMatches(pattern, patternType, value) {
+    if (!value || !pattern) return false;
+
+    switch (patternType) {
+    case 'contains':
+        return value.toLowerCase().includes(pattern.toLowerCase());
+    case 'glob':
+    case 'regex':
+        return patternRegExp(pattern, patternType)?.test(value) ?? false;
+    default:
+        return pattern === value;
+    }
+}
+
+// How a rule's condition reads in its key (see ruleKey), by pattern type.
+const CONDITION_OPERATORS = { exact: '=', contains: '~', glob: 'glob', regex: 'regex' };
+
+function conditionKey(condition) {
+    const not = condition.negate ? '!' : '';
+    if (condition.field === 'dialog') return `${not}dialog`;
+    if (condition.field === 'window_type') return `type ${not}= ${condition.pattern}`;
+
+    const operator = CONDITION_OPERATORS[patternTypeOf(condition)];
+    return `${condition.field || 'wm_class'} ${not}${operator} ${condition.pattern}`;
+}
+
+// The key a rule's saved state goes under (see stateKey in matching.js), and
+// that a record saved under its state_key template names it by: the pattern,
+// followed by the extra conditions when there are any, so that rules of the
+// same pattern told apart by conditions (Firefox, and Firefox's
+// Picture-in-Picture window) don't share one.
+export function ruleKey(rule) {
+    const conditions = rule.conditions || [];
+    if (conditions.length === 0) return rule.wm_class;
+    return `${rule.wm_class} [${conditions.map(conditionKey).join(', ')}]`;
+}
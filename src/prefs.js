@@ -1,16 +1,87 @@
 import Adw from 'gi://Adw';
+import Cairo from 'cairo';
 import Gtk from 'gi://Gtk';
 import Gdk from 'gi://Gdk';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
 import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+import { PATTERN_TYPES, patternMatches, patternTypeOf, ruleKey } from './patterns.js';
+import { parseHistory, pruneHistory } from './history.js';
+import { layoutSignature, nearestLayout, readMonitorIdentities, sameMonitorId } from './monitors.js';
+import { describeRestoreResult, parseDiagnostics } from './diagnostics.js';
 
 // The restore options, in the order they're shown, shared by per-app rules and
 // Global Defaults — the same set and the same short labels as the window menu's
 // "Restore" section (see windowMenu.js RESTORE_TOGGLES), since both edit the
-// same fields. 'dependsOn' marks an option that only refines another one: it's
-// greyed out while its parent is off, and left out of the section's summary so
-// that stays a list of what actually gets restored.
+// same fields. 'dependsOn' marks an option that only refines another one (or
+// any of several, given a list): it's greyed out while its parents are off, and
+// left out of the section's summary so that stays a list of what actually gets
+// restored; so is a 'timing' option, which says when the others apply rather
+// than what. An option with 'choices' stores one of several values instead of a
+// boolean, picked with linked toggle buttons; 'defaultValue' is what an unset
+// field means.
+//
+// The on/off window states use STATE_MODES as their choices: besides
+// remembering the last value (true) or ignoring it (false), they can force it
+// on or off ('on' / 'off') every time the window opens.
+const STATE_MODES = [
+    { value: true, label: 'Remember' },
+    { value: 'on', label: 'Always' },
+    { value: 'off', label: 'Never' },
+    { value: false, label: 'Ignore' },
+];
+
+// Labels for the pattern types (see patterns.js), in PATTERN_TYPES order. The
+// hint shows up as the Pattern Type row's subtitle for the selected type.
+const PATTERN_TYPE_LABELS = {
+    exact: { label: 'Exact', hint: 'The whole value, as written' },
+    contains: { label: 'Contains', hint: 'Anywhere in the value, ignoring case' },
+    glob: { label: 'Glob', hint: 'Wildcards: * for anything, ? for one character' },
+    regex: { label: 'Regex', hint: 'A regular expression, e.g. "^DevTools.*"' },
+};
+
+// Returns why a pattern can't be saved as the given type, or null if it can.
+// Only a regex can be malformed; the other types accept any text.
+function patternError(pattern, patternType) {
+    if (patternType !== 'regex') return null;
+    try {
+        new RegExp(pattern);
+    } catch (e) {
+        return `Invalid regular expression: ${e.message}`;
+    }
+    return null;
+}
+
+// The placements of a rule's fixed_geometry (see fixedGeometryRect in
+// extension.js), with what each one takes: x/y and/or width/height.
+const FIXED_PLACEMENTS = [
+    { value: 'exact', label: 'Exact', position: true, size: true },
+    { value: 'centered', label: 'Centered', position: false, size: true },
+    { value: 'left', label: 'Left Half', position: false, size: false },
+    { value: 'right', label: 'Right Half', position: false, size: false },
+    { value: 'top', label: 'Top Half', position: false, size: false },
+    { value: 'bottom', label: 'Bottom Half', position: false, size: false },
+    { value: 'maximized', label: 'Maximized', position: false, size: false },
+];
+
+// One line describing a fixed_geometry, for the rule's Fixed Geometry row.
+function fixedGeometrySummary(fixed) {
+    const placement = FIXED_PLACEMENTS.find(p => p.value === fixed.placement) || FIXED_PLACEMENTS[0];
+    const monitor = Number.isInteger(fixed.monitor) ? `monitor ${fixed.monitor + 1}` : 'its monitor';
+    if (placement.position) return `${fixed.width}×${fixed.height} at ${fixed.x || 0}, ${fixed.y || 0} on ${monitor}`;
+    if (placement.size) return `${fixed.width}×${fixed.height}, centered on ${monitor}`;
+    if (placement.value === 'maximized') return `Maximized on ${monitor}`;
+    return `${placement.label.replace('Half', 'half')} of ${monitor}`;
+}
+
+// Stores a pattern type on a rule, exclusion or condition. is_regex is kept
+// alongside for anything still reading only that (see patterns.js).
+function setPatternType(rule, patternType) {
+    rule.pattern_type = patternType;
+    rule.is_regex = patternType === 'regex';
+}
+
 const RESTORE_OPTIONS = [
     { key: 'restore_size', label: 'Size' },
     { key: 'restore_pos', label: 'Position' },
@@ -21,7 +92,31 @@ const RESTORE_OPTIONS = [
         dependsOn: 'restore_pos',
         defaultOn: true,
     },
-    { key: 'restore_maximized', label: 'Maximized' },
+    {
+        key: 'position_mode',
+        label: 'Position Mode',
+        subtitle: 'How the saved position and size adapt when the resolution, scaling or panels change',
+        dependsOn: ['restore_pos', 'restore_size'],
+        choices: [
+            { value: 'absolute', label: 'Exact' },
+            { value: 'relative', label: 'Proportional' },
+            { value: 'anchored', label: 'Anchored' },
+        ],
+        defaultValue: 'absolute',
+    },
+    {
+        key: 'restore_on_reconnect',
+        label: 'Return to Monitor',
+        subtitle: 'Move the window back to its saved monitor when that monitor is plugged in again',
+        dependsOn: 'restore_pos',
+    },
+    { key: 'restore_maximized', label: 'Maximized', choices: STATE_MODES, defaultValue: false },
+    {
+        key: 'restore_tiled',
+        label: 'Tiled',
+        subtitle: 'Left or right half of the screen, or maximized in one direction only',
+    },
+    { key: 'restore_fullscreen', label: 'Fullscreen', choices: STATE_MODES, defaultValue: false },
     { key: 'restore_workspace', label: 'Workspace' },
     {
         key: 'switch_to_workspace',
@@ -29,9 +124,28 @@ const RESTORE_OPTIONS = [
         subtitle: 'Activate the workspace where the window is restored',
         dependsOn: 'restore_workspace',
     },
-    { key: 'restore_minimized', label: 'Minimized' },
-    { key: 'restore_above', label: 'Always on Top' },
-    { key: 'restore_sticky', label: 'On All Workspaces' },
+    { key: 'restore_minimized', label: 'Minimized', choices: STATE_MODES, defaultValue: false },
+    { key: 'restore_above', label: 'Always on Top', choices: STATE_MODES, defaultValue: false },
+    { key: 'restore_sticky', label: 'On All Workspaces', choices: STATE_MODES, defaultValue: false },
+    {
+        key: 'restore_on_rebind',
+        label: 'On Rule Change',
+        subtitle: 'Apply the saved state when an open window starts matching this rule, e.g. after its title changes',
+        timing: true,
+    },
+    {
+        key: 'enforce_ms',
+        label: 'Hold After Opening',
+        subtitle: 'Keep putting the window back for a while, for apps that move or resize themselves right after opening. Stops as soon as you move it',
+        choices: [
+            { value: 0, label: 'Off' },
+            { value: 1000, label: '1 s' },
+            { value: 3000, label: '3 s' },
+            { value: 5000, label: '5 s' },
+        ],
+        defaultValue: 0,
+        timing: true,
+    },
 ];
 
 // Keeps the collapsed "Restore" row informative: what this rule actually
@@ -39,13 +153,19 @@ const RESTORE_OPTIONS = [
 const MAX_RESTORE_SUMMARY = 52;
 
 function restoreSummary(values) {
-    const primary = RESTORE_OPTIONS.filter(option => !option.dependsOn);
+    const primary = RESTORE_OPTIONS.filter(option => !option.dependsOn && !option.timing);
     const active = primary.filter(option => !!values[option.key]);
 
     if (active.length === 0) return 'Nothing — the window is tracked but never restored';
     if (active.length === primary.length) return 'Everything';
 
-    const text = active.map(option => option.label).join(', ');
+    // A forced state says which way, since "Minimized" alone would read as
+    // "opens minimized" for a rule that makes sure it never does.
+    const text = active.map(option => {
+        if (values[option.key] === 'on') return `${option.label} (always)`;
+        if (values[option.key] === 'off') return `${option.label} (never)`;
+        return option.label;
+    }).join(', ');
     return text.length > MAX_RESTORE_SUMMARY
         ? `${text.slice(0, MAX_RESTORE_SUMMARY - 1)}…`
         : text;
@@ -128,6 +248,22 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
         }); // custom icon, see src/icons/globe-symbolic.svg and the search path added above
         window.add(defaultsPage);
 
+        // Named layout snapshots, the on-demand counterpart of the automatic
+        // per-window saved states.
+        const layoutsPage = new Adw.PreferencesPage({
+            title: 'Layouts',
+            icon_name: 'view-grid-symbolic'
+        });
+        window.add(layoutsPage);
+
+        // What window-app-states holds, to inspect, correct or forget without
+        // touching dconf.
+        const statesPage = new Adw.PreferencesPage({
+            title: 'Saved States',
+            icon_name: 'document-properties-symbolic'
+        });
+        window.add(statesPage);
+
         // General extension settings (currently just the top bar indicator),
         // kept separate from Global Defaults since it's about the extension
         // itself rather than window-restore behavior.
@@ -169,6 +305,73 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
         indicatorRow.add_suffix(indicatorSwitch);
         indicatorGroup.add(indicatorRow);
 
+        // -- Window History Section --
+        // What the known-app pickers offer (window-history, see history.js).
+        // Kept relevant by aging out what hasn't been seen for a while — by
+        // the extension as it records, and here on demand — or cleared.
+        const historyGroup = new Adw.PreferencesGroup({
+            title: 'Window History',
+            description: 'The apps and window titles seen so far, offered when picking what a rule matches.'
+        });
+        settingsPage.add(historyGroup);
+
+        const historyRow = new Adw.ActionRow({ title: 'Remembered' });
+        const clearHistoryButton = new Gtk.Button({
+            label: 'Clear',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action']
+        });
+        historyRow.add_suffix(clearHistoryButton);
+        historyGroup.add(historyRow);
+
+        const maxAgeRow = new Adw.ActionRow({
+            title: 'Forget After (Days)',
+            subtitle: 'Drop apps and titles not seen for this long. 0 keeps them.'
+        });
+        const maxAgeSpin = Gtk.SpinButton.new_with_range(0, 3650, 1);
+        maxAgeSpin.valign = Gtk.Align.CENTER;
+        settings.bind('history-max-age-days', maxAgeSpin, 'value', Gio.SettingsBindFlags.DEFAULT);
+        const forgetButton = new Gtk.Button({
+            label: 'Forget Now',
+            valign: Gtk.Align.CENTER,
+            tooltip_text: 'Drop what hasn\'t been seen for that many days right away, instead of as windows are next seen'
+        });
+        maxAgeRow.add_suffix(maxAgeSpin);
+        maxAgeRow.add_suffix(forgetButton);
+        historyGroup.add(maxAgeRow);
+
+        const refreshHistorySummary = () => {
+            const history = parseHistory(settings.get_string('window-history'));
+            const apps = Object.keys(history).length;
+            const titles = Object.values(history).reduce((count, entry) => count + entry.titles.length, 0);
+            historyRow.subtitle = `${apps} app${apps !== 1 ? 's' : ''}, ${titles} window title${titles !== 1 ? 's' : ''}`;
+            forgetButton.sensitive = maxAgeSpin.value > 0;
+        };
+        refreshHistorySummary();
+        let historySignalId = settings.connect('changed::window-history', refreshHistorySummary);
+        maxAgeSpin.connect('value-changed', refreshHistorySummary);
+
+        // Both also empty the known-* lists (the legacy ones, and known-app-ids
+        // still recorded next to the history): they have no dates, so there's
+        // no telling how old they are.
+        const clearLegacyKnown = () => {
+            for (const key of ['known-wm-classes', 'known-window-titles', 'known-app-ids'])
+                settings.set_value(key, new GLib.Variant('as', []));
+        };
+        clearHistoryButton.connect('clicked', () => {
+            settings.set_string('window-history', '{}');
+            clearLegacyKnown();
+            showToast('Window history cleared.');
+        });
+        forgetButton.connect('clicked', () => {
+            const history = parseHistory(settings.get_string('window-history'));
+            const now = Math.floor(GLib.get_real_time() / 1000000);
+            const dropped = pruneHistory(history, now - maxAgeSpin.value * 24 * 60 * 60);
+            settings.set_string('window-history', JSON.stringify(history));
+            clearLegacyKnown();
+            showToast(`Forgot ${dropped.classes} app${dropped.classes !== 1 ? 's' : ''} and ${dropped.titles} window title${dropped.titles !== 1 ? 's' : ''}.`);
+        });
+
         // -- Backup & Restore Section --
         // Exports/imports the user-defined rules (window-app-configs) and the
         // Global Defaults (window-global-defaults) as a single JSON file.
@@ -308,12 +511,13 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
                             saveConfigs(importedConfigs);
                         } else {
                             // Merge: imported rules win on identity conflicts
-                            // (same wm_class + match_mode), existing ones are kept otherwise.
+                            // (same id, or same pattern, conditions and match_mode),
+                            // existing ones are kept otherwise.
                             const existing = getConfigs();
                             importedConfigs.forEach(imported => {
-                                const idx = existing.findIndex(c =>
-                                    c.wm_class === imported.wm_class &&
-                                    (c.match_mode || 'wm_class') === (imported.match_mode || 'wm_class'));
+                                const idx = existing.findIndex(c => (imported.id && c.id === imported.id) ||
+                                    (ruleKey(c) === ruleKey(imported) &&
+                                    (c.match_mode || 'wm_class') === (imported.match_mode || 'wm_class')));
                                 if (idx >= 0) existing[idx] = imported;
                                 else existing.push(imported);
                             });
@@ -330,20 +534,107 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
 
         // -- Add New App Section --
 
-        // Populate with known classes/titles (recorded by the extension side)
-        const known = settings.get_value('known-wm-classes').recursiveUnpack();
-        const knownTitles = settings.get_value('known-window-titles').recursiveUnpack();
+        // The undated known-* lists (older versions' ones, and known-app-ids),
+        // offered next to window-history until the history is pruned or cleared.
+        const getLegacyKnown = (key) => settings.get_value(key).recursiveUnpack();
+
+        // The desktop app a known app id or WM_CLASS belongs to, to show it by
+        // name and icon. An app id is a desktop file id without ".desktop"
+        // (see appIds in the extension's matching.js); a class goes through
+        // the app id it was seen with in window-history, else a desktop file
+        // declaring it as StartupWMClass or named after it. null if none.
+        const desktopApp = (appId) => {
+            if (!appId) return null;
+            try {
+                return Gio.DesktopAppInfo.new(`${appId}.desktop`);
+            } catch (e) {
+                return null;
+            }
+        };
+        let startupWmClasses = null;
+        const desktopAppForClass = (wmClass, appId) => {
+            const byId = desktopApp(appId);
+            if (byId) return byId;
+
+            if (!startupWmClasses) {
+                startupWmClasses = new Map();
+                for (const info of Gio.AppInfo.get_all()) {
+                    const startupClass = info.get_startup_wm_class ? info.get_startup_wm_class() : null;
+                    if (startupClass) startupWmClasses.set(startupClass.toLowerCase(), info);
+                }
+            }
+            return startupWmClasses.get(wmClass.toLowerCase()) || desktopApp(wmClass) || desktopApp(wmClass.toLowerCase());
+        };
 
-        // Opens a picker for a known WM_CLASS, filling targetEntry on selection.
+        // Parsed window-history (see history.js).
+        const getWindowHistory = () => parseHistory(settings.get_string('window-history'));
+
+        // What the known-app picker lists for a mode, one group per row:
+        // { app, label, value, titles, wmClasses, lastSeen }. `value` is what
+        // picking the row fills in (class or app id); in title mode a group is
+        // a class and its `titles` (newest first) are picked instead, with
+        // titles seen with no class on record gathered in one last group.
+        // lastSeen is 0 for what only the undated legacy lists know.
+        const knownAppGroups = (mode, history) => {
+            if (mode === 'app_id') {
+                const ids = new Set(getLegacyKnown('known-app-ids'));
+                Object.values(history).forEach(entry => entry.app_id && ids.add(entry.app_id));
+                return [...ids].map(id => {
+                    const wmClasses = Object.keys(history).filter(c => history[c].app_id === id);
+                    return {
+                        app: desktopApp(id), label: id, value: id, titles: [], wmClasses,
+                        lastSeen: Math.max(0, ...wmClasses.map(c => history[c].last_seen)),
+                    };
+                });
+            }
+
+            if (mode === 'title') {
+                const groups = Object.entries(history)
+                    .filter(([, entry]) => entry.titles.length > 0)
+                    .map(([wmClass, entry]) => ({
+                        app: desktopAppForClass(wmClass, entry.app_id), label: wmClass, value: wmClass,
+                        titles: entry.titles.map(t => t.title), wmClasses: [wmClass], lastSeen: entry.last_seen,
+                    }));
+                const grouped = new Set(groups.flatMap(group => group.titles));
+                const others = getLegacyKnown('known-window-titles').filter(title => !grouped.has(title));
+                if (others.length > 0)
+                    groups.push({ app: null, label: 'Other Windows', value: null, titles: others, wmClasses: [], lastSeen: 0 });
+                return groups;
+            }
+
+            const classes = new Set([...getLegacyKnown('known-wm-classes'), ...Object.keys(history)]);
+            return [...classes].map(wmClass => ({
+                app: desktopAppForClass(wmClass, history[wmClass] && history[wmClass].app_id),
+                label: wmClass, value: wmClass, titles: [], wmClasses: [wmClass],
+                lastSeen: history[wmClass] ? history[wmClass].last_seen : 0,
+            }));
+        };
+
+        // Whether an open window (from a match-preview reply) belongs to a
+        // known-app picker group.
+        const groupHasWindow = (group, w) =>
+            group.wmClasses.includes(w.wm_class) || (w.app_id && w.app_id === group.value) ||
+            group.titles.includes(w.title);
+
+        // Opens a picker for a known app, class or title, filling targetEntry on selection.
         // GtkDropDown's popup is a separate xdg_popup Wayland surface, which on
         // this GTK/Mutter combination silently fails to present when the widget
         // is nested inside Adw.PreferencesPage's scrolled/clamped layout (no
         // error, it just never opens). Adw.Dialog instead overlays in the same
         // window surface as Adw.MessageDialog, which is confirmed to work here,
         // so it's used for this picker too instead of chasing the popup bug.
-        // `items` lets callers choose which list to show (WM_CLASSes vs titles).
-        const showKnownAppsPicker = (targetEntry, items = known) => {
-            if (items.length === 0) return;
+        // `mode` picks what's listed, like the form's match mode: classes or
+        // app ids, shown as their app's name and icon where one is known, or
+        // window titles grouped under the app they were seen with. Whatever is
+        // open right now is marked and listed first, then the most recently
+        // seen.
+        const showKnownAppsPicker = (targetEntry, mode = 'wm_class') => {
+            const history = getWindowHistory();
+            const groups = knownAppGroups(mode, history);
+            if (groups.length === 0) {
+                showToast('Nothing seen yet: open the app once while Deja Window is running.');
+                return;
+            }
 
             const dialog = new Adw.Dialog({
                 title: 'Select a Known App',
@@ -364,21 +655,67 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
                 css_classes: ['boxed-list'],
                 margin_start: 12, margin_end: 12, margin_bottom: 12
             });
-            items.forEach(item => {
-                const row = new Adw.ActionRow({ title: item, activatable: true });
-                row.connect('activated', () => {
-                    targetEntry.set_text(item);
-                    dialog.close();
+            const pick = (value) => {
+                targetEntry.set_text(value);
+                dialog.close();
+            };
+
+            // Per row: its group, and the running mark to show once known.
+            const rowData = new Map();
+            groups.forEach(group => {
+                const name = group.app ? group.app.get_name() : group.label;
+                let row;
+                if (mode === 'title') {
+                    row = new Adw.ExpanderRow({ title: name, subtitle: group.label !== name ? group.label : '' });
+                    group.titles.forEach(title => {
+                        const titleRow = new Adw.ActionRow({ title, activatable: true, use_markup: false });
+                        titleRow.connect('activated', () => pick(title));
+                        row.add_row(titleRow);
+                    });
+                } else {
+                    row = new Adw.ActionRow({ title: name, activatable: true });
+                    if (group.value !== name) row.subtitle = group.value;
+                    row.connect('activated', () => pick(group.value));
+                }
+                row.use_markup = false;
+
+                const icon = new Gtk.Image({ pixel_size: 32 });
+                if (group.app && group.app.get_icon()) icon.gicon = group.app.get_icon();
+                else icon.icon_name = 'application-x-executable-symbolic';
+                row.add_prefix(icon);
+
+                const runningLabel = new Gtk.Label({
+                    label: 'Running',
+                    valign: Gtk.Align.CENTER,
+                    visible: false,
+                    css_classes: ['caption', 'accent']
                 });
+                row.add_suffix(runningLabel);
+
+                rowData.set(row, { group, name, runningLabel });
                 listBox.append(row);
             });
 
+            // Running first, then most recently seen, then by name.
+            const isRunning = row => rowData.get(row).runningLabel.visible;
+            listBox.set_sort_func((a, b) => (isRunning(b) - isRunning(a)) ||
+                (rowData.get(b).group.lastSeen - rowData.get(a).group.lastSeen) ||
+                rowData.get(a).name.localeCompare(rowData.get(b).name));
+
+            // The extension knows what's open: every window matches a "*" glob.
+            requestMatchPreview({ wm_class: '*', match_mode: 'wm_class', pattern_type: 'glob', is_regex: false }, windows => {
+                if (!windows) return;
+                for (const { group, runningLabel } of rowData.values()) {
+                    runningLabel.visible = windows.some(w => groupHasWindow(group, w));
+                }
+                listBox.invalidate_sort();
+            });
+
             searchEntry.connect('search-changed', () => {
                 const query = searchEntry.get_text().toLowerCase();
-                let child = listBox.get_first_child();
-                while (child) {
-                    child.visible = !query || child.title.toLowerCase().includes(query);
-                    child = child.get_next_sibling();
+                for (const [row, { group, name }] of rowData) {
+                    row.visible = !query || [name, group.label, group.value, ...group.titles]
+                        .some(text => text && text.toLowerCase().includes(query));
                 }
             });
 
@@ -448,9 +785,10 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
         // read the same way, with the same wording and the same picker. Rows are
         // appended to `group`; the returned patternRow lets callers pack an extra
         // button (Add) next to the entry, and reset() clears the form after use.
-        const buildMatchingRows = (targetGroup, { pattern = '', mode = 'wm_class', isRegex = false } = {}) => {
-            // Two linked toggles instead of a Gtk.ComboBoxText: with only two
-            // modes both are visible at a glance and switching takes one click.
+        // `onChanged` is called on every edit of the mode, type or pattern.
+        const buildMatchingRows = (targetGroup, { pattern = '', mode = 'wm_class', patternType = 'exact', onChanged = null } = {}) => {
+            // Linked toggles instead of a Gtk.ComboBoxText: with only three
+            // modes all are visible at a glance and switching takes one click.
             // It also avoids the combo's popup, whose pointer grab swallowed the
             // first click on the pattern row's buttons when the mode had just
             // been changed — the click only dismissed the closing popup.
@@ -461,64 +799,110 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             });
             const classToggle = new Gtk.ToggleButton({
                 label: 'WM_CLASS',
-                active: mode !== 'title'
+                active: mode !== 'title' && mode !== 'app_id'
             });
             const titleToggle = new Gtk.ToggleButton({
                 label: 'Window Title',
                 group: classToggle,
                 active: mode === 'title'
             });
+            // The app owning the window (desktop file, Flatpak/Snap or GTK
+            // application id), for sandboxed apps whose WM_CLASS is useless.
+            const appToggle = new Gtk.ToggleButton({
+                label: 'App ID',
+                group: classToggle,
+                active: mode === 'app_id'
+            });
             modeBox.append(classToggle);
             modeBox.append(titleToggle);
+            modeBox.append(appToggle);
             modeRow.add_suffix(modeBox);
             targetGroup.add(modeRow);
 
-            const regexRow = new Adw.ActionRow({
-                title: 'Regular Expression',
-                subtitle: 'Treat the pattern as a regex, e.g. "^DevTools.*"'
-            });
-            const regexSwitch = new Gtk.Switch({
-                active: !!isRegex,
-                valign: Gtk.Align.CENTER
+            // How the pattern is compared, as linked toggles for the same
+            // reasons as the mode above. The subtitle explains the one picked.
+            const typeRow = new Adw.ActionRow({ title: 'Pattern Type' });
+            const typeBox = new Gtk.Box({
+                valign: Gtk.Align.CENTER,
+                css_classes: ['linked']
             });
-            regexRow.add_suffix(regexSwitch);
-            targetGroup.add(regexRow);
+            const typeToggles = {};
+            for (const type of PATTERN_TYPES) {
+                const toggle = new Gtk.ToggleButton({
+                    label: PATTERN_TYPE_LABELS[type].label,
+                    active: type === patternType
+                });
+                if (typeToggles.exact) toggle.set_group(typeToggles.exact);
+                toggle.connect('notify::active', () => {
+                    if (toggle.active) typeRow.subtitle = PATTERN_TYPE_LABELS[type].hint;
+                });
+                typeToggles[type] = toggle;
+                typeBox.append(toggle);
+            }
+            typeRow.subtitle = PATTERN_TYPE_LABELS[patternType].hint;
+            typeRow.add_suffix(typeBox);
+            targetGroup.add(typeRow);
 
             const patternRow = new Adw.ActionRow({ title: 'Pattern' });
             const patternEntry = new Gtk.Entry({
                 text: pattern,
-                placeholder_text: 'WM_CLASS or Title',
+                placeholder_text: 'WM_CLASS, Title or App ID',
                 hexpand: true,
                 valign: Gtk.Align.CENTER
             });
             patternRow.add_suffix(patternEntry);
 
-            const getMode = () => titleToggle.active ? 'title' : 'wm_class';
+            const getPatternType = () =>
+                PATTERN_TYPES.find(type => typeToggles[type].active) || 'exact';
 
-            if (known.length > 0 || knownTitles.length > 0) {
-                const pickButton = new Gtk.Button({
-                    icon_name: 'view-list-symbolic',
-                    valign: Gtk.Align.CENTER,
-                    tooltip_text: 'Pick a known app'
-                });
-                // Shows WM_CLASSes or window titles, following the mode picked
-                // in the row above.
-                pickButton.connect('clicked', () => {
-                    showKnownAppsPicker(patternEntry,
-                        getMode() === 'title' ? knownTitles : known);
-                });
-                patternRow.add_suffix(pickButton);
-            }
+            const getMode = () => {
+                if (titleToggle.active) return 'title';
+                if (appToggle.active) return 'app_id';
+                return 'wm_class';
+            };
+
+            // Fills the pattern in from a window clicked on screen, by the mode
+            // picked above — falling back to WM_CLASS for a window without an
+            // app id or a title. Always exact: a starting point to loosen if
+            // needed.
+            const pickWindowButton = new Gtk.Button({
+                icon_name: 'find-location-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: 'Pick a window by clicking it'
+            });
+            pickWindowButton.connect('clicked', () => requestPick(picked => {
+                const value = { title: picked.title, app_id: picked.app_id }[getMode()];
+                if (!value) classToggle.active = true;
+                patternEntry.set_text(value || picked.wm_class);
+                typeToggles.exact.active = true;
+            }));
+            patternRow.add_suffix(pickWindowButton);
+
+            const pickButton = new Gtk.Button({
+                icon_name: 'view-list-symbolic',
+                valign: Gtk.Align.CENTER,
+                tooltip_text: 'Pick a known app'
+            });
+            // Shows WM_CLASSes, window titles or app ids, following the
+            // mode picked in the row above.
+            pickButton.connect('clicked', () => showKnownAppsPicker(patternEntry, getMode()));
+            patternRow.add_suffix(pickButton);
             targetGroup.add(patternRow);
 
+            if (onChanged) {
+                patternEntry.connect('changed', onChanged);
+                for (const toggle of [classToggle, titleToggle, appToggle, ...Object.values(typeToggles)])
+                    toggle.connect('notify::active', onChanged);
+            }
+
             return {
                 patternRow,
                 patternEntry,
-                regexSwitch,
+                getPatternType,
                 getMode,
                 reset: () => {
                     patternEntry.set_text('');
-                    regexSwitch.active = false;
+                    typeToggles.exact.active = true;
                     classToggle.active = true;
                 }
             };
@@ -537,8 +921,7 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
         // State used by functions
         let rows = [];
         let settingsSignalId = null;
-        let captureSignalId = null;
-        let captureTimeoutId = 0;
+        let requestChannels = [];
 
         // --- Helper Functions ---
 
@@ -552,7 +935,13 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             }
         };
 
+        // Every rule gets an id the first time it's saved here (the extension
+        // does the same on loading them): the helpers below, the list's rows
+        // and the requests to the extension all refer to a rule by it.
         const saveConfigs = (configs) => {
+            configs.forEach(config => {
+                if (!config.id) config.id = GLib.uuid_string_random();
+            });
             settings.set_string('window-app-configs', JSON.stringify(configs));
         };
 
@@ -576,6 +965,36 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             return sw;
         };
 
+        // Same idea as makeSwitchRow for an option with several values: linked
+        // toggle buttons rather than a dropdown, for the same popup reasons as
+        // the "Match By" row (see buildMatchingRows below).
+        const makeChoiceRow = (addFn, title, subtitle, choices, initialValue, onChange) => {
+            const row = new Adw.ActionRow({ title });
+            if (subtitle) row.set_subtitle(subtitle);
+            const box = new Gtk.Box({
+                valign: Gtk.Align.CENTER,
+                css_classes: ['linked']
+            });
+            let group = null;
+            choices.forEach(choice => {
+                const toggle = new Gtk.ToggleButton({
+                    label: choice.label,
+                    active: choice.value === initialValue
+                });
+                if (group) toggle.set_group(group);
+                else group = toggle;
+                // Both the old and the new button of a group notify; only react
+                // to the one being switched on.
+                toggle.connect('notify::active', () => {
+                    if (toggle.active) onChange(choice.value);
+                });
+                box.append(toggle);
+            });
+            row.add_suffix(box);
+            addFn(row);
+            return row;
+        };
+
         // Builds the "Restore" block shared by per-app rules and Global
         // Defaults: one expander holding every restore option, so both places
         // read the same way as the window menu instead of a flat wall of
@@ -594,11 +1013,24 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             const sync = () => {
                 expander.set_subtitle(restoreSummary(values));
                 optionRows.forEach(({ row, dependsOn }) => {
-                    row.sensitive = !dependsOn || switches[dependsOn].active;
+                    row.sensitive = !dependsOn || [dependsOn].flat().some(key => switches[key].active);
                 });
             };
 
             RESTORE_OPTIONS.forEach(option => {
+                if (option.choices) {
+                    const optionRow = makeChoiceRow(r => expander.add_row(r),
+                        option.label, option.subtitle || null, option.choices,
+                        values[option.key] ?? option.defaultValue,
+                        value => {
+                            values[option.key] = value;
+                            onChange(option.key, value);
+                            sync();
+                        });
+                    optionRows.push({ row: optionRow, dependsOn: option.dependsOn });
+                    return;
+                }
+
                 const initial = values[option.key] !== undefined
                     ? !!values[option.key]
                     : !!option.defaultOn;
@@ -619,14 +1051,10 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             return expander;
         };
 
-        // Update helper to identify config by both wm_class and match_mode if possible.
-        // But the previous implementation assumed wm_class uniqueness.
-        // We really should pass the config index or object itself if we could, but these helpers are convenient.
-        // Let's update `updateConfig` signature.
-        const updateConfig = (wmClass, matchMode, key, value) => {
+        // Sets one option of the rule with the given id.
+        const updateConfig = (id, key, value) => {
             const configs = getConfigs();
-            // Match both class string and mode to be precise
-            const config = configs.find(c => c.wm_class === wmClass && (c.match_mode || 'wm_class') === (matchMode || 'wm_class'));
+            const config = configs.find(c => c.id === id);
             if (config) {
                 config[key] = value;
 
@@ -643,41 +1071,46 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             }
         };
 
-        // Rewrites what an existing rule matches (pattern, mode, regex). This is
-        // the rule's identity — window-app-states is keyed by the pattern and
-        // every helper here looks configs up by (pattern, mode) — so it can't go
-        // through updateConfig: the saved geometry has to follow the rule to its
-        // new key, and the new identity must stay unique. Returns null on
-        // success, or a reason string for the caller to report.
-        const updateConfigMatching = (oldPattern, oldMode, newPattern, newMode, newIsRegex) => {
+        // Rewrites what an existing rule matches (pattern, mode, type,
+        // conditions). window-app-states is keyed by the pattern and conditions
+        // (see ruleKey), so it can't go through updateConfig: the saved geometry
+        // has to follow the rule to its new key, and no other rule may end up
+        // matching exactly the same. Returns null on success, or a reason string
+        // for the caller to report.
+        const updateConfigMatching = (id, newPattern, newMode, newPatternType, newConditions = [], newStateKey = '') => {
             if (!newPattern) return 'The pattern cannot be empty';
 
-            if (newIsRegex) {
-                try {
-                    new RegExp(newPattern);
-                } catch (e) {
-                    return `Invalid regular expression: ${e.message}`;
-                }
+            for (const [pattern, type] of [[newPattern, newPatternType],
+                ...newConditions.map(c => [c.pattern, patternTypeOf(c)])]) {
+                const error = patternError(pattern, type);
+                if (error) return error;
             }
 
             const configs = getConfigs();
-            const config = configs.find(c =>
-                c.wm_class === oldPattern && (c.match_mode || 'wm_class') === oldMode);
+            const config = configs.find(c => c.id === id);
             if (!config) return 'This rule no longer exists';
 
-            const identityChanged = newPattern !== oldPattern || newMode !== oldMode;
+            const oldKey = ruleKey(config);
+            const oldMode = config.match_mode || 'wm_class';
+            const newKey = ruleKey({ wm_class: newPattern, conditions: newConditions });
+            const identityChanged = newKey !== oldKey || newMode !== oldMode;
             if (identityChanged && configs.some(c => c !== config &&
-                c.wm_class === newPattern && (c.match_mode || 'wm_class') === newMode)) {
+                ruleKey(c) === newKey && (c.match_mode || 'wm_class') === newMode)) {
                 return 'Another rule already matches that';
             }
 
             config.wm_class = newPattern;
             config.match_mode = newMode;
-            config.is_regex = newIsRegex;
+            setPatternType(config, newPatternType);
+            // Rules without extra conditions keep their original shape.
+            if (newConditions.length > 0) config.conditions = newConditions;
+            else delete config.conditions;
+            if (newStateKey) config.state_key = newStateKey;
+            else delete config.state_key;
             saveConfigs(configs);
 
-            if (newPattern !== oldPattern) {
-                migrateSavedState(oldPattern, newPattern, configs);
+            if (newKey !== oldKey) {
+                migrateSavedState(oldKey, newKey, configs);
             }
             return null;
         };
@@ -685,8 +1118,8 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
         // Moves a rule's saved geometry to its new key, so renaming a pattern
         // doesn't silently reset the window's remembered size/position. Never
         // overwrites state that's already there, and leaves the old entry alone
-        // if some other rule still matches on that pattern (states are keyed by
-        // pattern only, so two rules differing just by match_mode share one).
+        // if some other rule still has that key (states are keyed by pattern and
+        // conditions only, so two rules differing just by match_mode share one).
         const migrateSavedState = (oldKey, newKey, configs) => {
             let states = {};
             try {
@@ -695,53 +1128,76 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
                 return;
             }
 
-            if (!states[oldKey] || states[newKey]) return;
+            // Records saved under the rule's state_key template follow it too.
+            let changed = false;
+            if (!configs.some(c => ruleKey(c) === oldKey)) {
+                Object.values(states).filter(record => record && record.rule === oldKey).forEach(record => {
+                    record.rule = newKey;
+                    changed = true;
+                });
+            }
 
-            states[newKey] = states[oldKey];
-            if (!configs.some(c => c.wm_class === oldKey)) {
-                delete states[oldKey];
+            if (states[oldKey] && !states[newKey]) {
+                states[newKey] = states[oldKey];
+                if (!configs.some(c => ruleKey(c) === oldKey)) {
+                    delete states[oldKey];
+                }
+                changed = true;
             }
-            settings.set_string('window-app-states', JSON.stringify(states));
+            if (changed) settings.set_string('window-app-states', JSON.stringify(states));
         };
 
-        const removeConfig = (wmClass, matchMode) => {
+        const removeConfig = (id) => {
             let configs = getConfigs();
-            // Filter out the specific entry
-            configs = configs.filter(c => !(c.wm_class === wmClass && (c.match_mode || 'wm_class') === (matchMode || 'wm_class')));
+            configs = configs.filter(c => c.id !== id);
+            saveConfigs(configs);
+        };
+
+        // Moves a rule to another position in window-app-configs. That order is
+        // the rules' priority: the extension applies the first enabled rule that
+        // matches a window (see DejaWindowExtension._getConfigForWindow).
+        const moveConfig = (id, toIndex) => {
+            const configs = getConfigs();
+            const fromIndex = configs.findIndex(c => c.id === id);
+            if (fromIndex === -1 || fromIndex === toIndex || toIndex < 0 || toIndex >= configs.length) return;
+
+            const [config] = configs.splice(fromIndex, 1);
+            configs.splice(toIndex, 0, config);
             saveConfigs(configs);
         };
 
         // Returns null on success, or a reason string for the caller to report —
         // same contract as updateConfigMatching, so creating a rule rejects the
-        // same input the "Edit Matching" dialog would.
-        const addConfig = (wmClass, isRegex = false, matchMode = 'wm_class') => {
-            if (isRegex) {
-                try {
-                    new RegExp(wmClass);
-                } catch (e) {
-                    return `Invalid regular expression: ${e.message}`;
-                }
-            }
+        // same input the "Edit Matching" dialog would. A pattern that another
+        // rule already has is fine: the new rule is then told apart by the
+        // conditions given to it (until then it's listed as never applying).
+        const addConfig = (wmClass, patternType = 'exact', matchMode = 'wm_class') => {
+            const error = patternError(wmClass, patternType);
+            if (error) return error;
 
             const configs = getConfigs();
-            // Check uniqueness based on both value and mode
-            if (configs.find(c => c.wm_class === wmClass && (c.match_mode || 'wm_class') === matchMode)) {
-                return 'A rule already matches that';
-            }
             configs.push({
+                id: GLib.uuid_string_random(),
                 wm_class: wmClass, // Acts as the pattern/value
                 match_mode: matchMode,
                 enabled: true,
                 restore_size: false,
                 restore_pos: false,
                 restore_maximized: false,
+                restore_tiled: false,
+                restore_fullscreen: false,
                 restore_workspace: false,
                 switch_to_workspace: false,
                 restore_minimized: false,
                 restore_above: false,
                 restore_sticky: false,
                 avoid_overlap: false,
-                is_regex: isRegex,
+                restore_on_reconnect: false,
+                restore_on_rebind: false,
+                enforce_ms: 0,
+                position_mode: 'absolute',
+                pattern_type: patternType,
+                is_regex: patternType === 'regex',
                 locked: false
             });
             saveConfigs(configs);
@@ -752,7 +1208,7 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             const text = addMatching.patternEntry.get_text().trim();
             if (!text) return;
 
-            const error = addConfig(text, addMatching.regexSwitch.active, addMatching.getMode());
+            const error = addConfig(text, addMatching.getPatternType(), addMatching.getMode());
             if (error) {
                 // Leave the form filled in so the pattern can be corrected.
                 showToast(error);
@@ -765,87 +1221,259 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
         addButton.connect('clicked', onAddClicked);
         addMatching.patternEntry.connect('activate', onAddClicked);
 
-        // -- "Save current window state" plumbing --
-        // This process has no access to Meta windows, so the per-rule capture
-        // button asks the extension over a GSettings key: we write the request,
-        // the extension answers on the same key by adding a 'status' field, and
-        // we consume that reply (showing a toast) and clear the key.
+        // -- Request/reply plumbing --
+        // This process has no access to Meta windows, so anything that needs
+        // them (the per-rule capture button, layout snapshots, …) asks the
+        // extension over a GSettings key: we write the request, the extension
+        // answers on the same key by adding a 'status' field, and we consume
+        // that reply and clear the key.
 
+        // Toasts quote window classes, titles and layout names: plain text.
         const showToast = (text) => {
             if (typeof window.add_toast === 'function') {
-                window.add_toast(new Adw.Toast({ title: text, timeout: 3 }));
+                window.add_toast(new Adw.Toast({ title: text, timeout: 3, use_markup: false }));
             } else {
                 console.log(`[DejaWindow] ${text}`);
             }
         };
 
-        const cancelCaptureTimeout = () => {
-            if (captureTimeoutId) {
-                GLib.source_remove(captureTimeoutId);
-                captureTimeoutId = 0;
-            }
-        };
+        // Sets up one such channel on `key`: returns send(request), and calls
+        // onReply(reply) for each answer. `unansweredText` is shown when no
+        // reply arrives, which happens if the extension isn't actually running
+        // (disabled, or shell reloaded since): we give up after a moment so the
+        // button doesn't just look broken, and drop the stale request. A
+        // function instead of text is called in place of the toast, for
+        // channels whose caller reports that itself.
+        const createRequestChannel = (key, onReply, unansweredText) => {
+            let timeoutId = 0;
+            const cancelTimeout = () => {
+                if (timeoutId) {
+                    GLib.source_remove(timeoutId);
+                    timeoutId = 0;
+                }
+            };
 
-        const requestCapture = (wmClass, matchMode) => {
-            cancelCaptureTimeout();
-            settings.set_string('capture-state-request', JSON.stringify({
-                wm_class: wmClass,
-                match_mode: matchMode || 'wm_class'
-            }));
+            // A request left over from a previous session would make the next
+            // identical one a no-op, since GSettings only emits 'changed' when
+            // the value actually differs — so start from a clean slate.
+            settings.set_string(key, '');
+            const signalId = settings.connect(`changed::${key}`, () => {
+                const raw = settings.get_string(key);
+                if (!raw) return;
 
-            // No reply ever arrives if the extension isn't actually running
-            // (disabled, or shell reloaded since): give up after a moment so the
-            // button doesn't just look broken, and drop the stale request.
-            captureTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 2000, () => {
-                captureTimeoutId = 0;
-                settings.set_string('capture-state-request', '');
-                showToast('Deja Window is not running, so the current window state could not be read.');
-                return GLib.SOURCE_REMOVE;
+                let reply = null;
+                try {
+                    reply = JSON.parse(raw);
+                } catch (e) {
+                    reply = null;
+                }
+                // No 'status' field: this is our own request, still unanswered.
+                if (!reply || !reply.status) return;
+
+                cancelTimeout();
+                settings.set_string(key, '');
+                onReply(reply);
             });
-        };
 
-        const onCaptureReply = () => {
-            const raw = settings.get_string('capture-state-request');
-            if (!raw) return;
+            requestChannels.push({
+                destroy: () => {
+                    settings.disconnect(signalId);
+                    cancelTimeout();
+                }
+            });
 
-            let reply = null;
-            try {
-                reply = JSON.parse(raw);
-            } catch (e) {
-                reply = null;
+            return (request) => {
+                cancelTimeout();
+                settings.set_string(key, JSON.stringify(request));
+
+                timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 2000, () => {
+                    timeoutId = 0;
+                    settings.set_string(key, '');
+                    if (typeof unansweredText === 'function') unansweredText();
+                    else showToast(unansweredText);
+                    return GLib.SOURCE_REMOVE;
+                });
+            };
+        };
+
+        // "Save current window state" for a rule (capture-state-request).
+        const sendCapture = createRequestChannel('capture-state-request', (reply) => {
+            const config = getConfigs().find(c => c.id === reply.id);
+            if (reply.status !== 'saved' || !config) {
+                showToast(reply.status === 'no-window' && config
+                    ? `No open window matches “${ruleTitle(config)}”.`
+                    : 'This rule no longer exists.');
+                return;
             }
-            // No 'status' field: this is our own request, still unanswered.
-            if (!reply || !reply.status) return;
 
-            cancelCaptureTimeout();
-            settings.set_string('capture-state-request', '');
+            showToast(`Current window state saved for “${ruleTitle(config)}”.`);
+        }, 'Deja Window is not running, so the current window state could not be read.');
+
+        // The pattern, conditions and mode go along for an extension that
+        // hasn't given the rule its id yet.
+        const requestCapture = (config) => {
+            sendCapture({
+                id: config.id,
+                wm_class: config.wm_class,
+                conditions: config.conditions,
+                match_mode: config.match_mode || 'wm_class'
+            });
+        };
+
+        // "Pick a window" for the matching forms (pick-window-request). The
+        // extension answers twice: 'picking' once the shell waits for a click,
+        // then the outcome. One pick at a time; the form that started the
+        // latest one gets the window.
+        let pickHandler = null;
+        const sendPickRequest = createRequestChannel('pick-window-request', (reply) => {
+            if (reply.status === 'picking') {
+                showToast('Click a window to pick it, or press Esc to cancel.');
+                return;
+            }
 
-            if (reply.status !== 'saved') {
-                showToast(reply.status === 'no-window'
-                    ? `No open window matches “${reply.wm_class}”.`
-                    : `No rule found for “${reply.wm_class}”.`);
+            const handler = pickHandler;
+            pickHandler = null;
+            if (reply.status === 'busy') {
+                showToast('Could not start picking a window. Close any open shell dialog and try again.');
                 return;
             }
+            if (reply.status !== 'picked' || !handler) return;
+
+            // The click went to the shell, so bring the form back up front.
+            window.present();
+            handler(reply);
+            showToast(`Picked “${reply.title || reply.wm_class}” (${reply.window_type || 'unknown'} window).`);
+        }, 'Deja Window is not running, so no window can be picked.');
 
-            showToast(`Current window state saved for “${reply.wm_class}”.`);
+        const requestPick = (onPicked) => {
+            pickHandler = onPicked;
+            sendPickRequest({ action: 'pick' });
         };
 
-        // A request left over from a previous session would make the next
-        // identical one a no-op, since GSettings only emits 'changed' when the
-        // value actually differs — so start from a clean slate.
-        settings.set_string('capture-state-request', '');
-        captureSignalId = settings.connect('changed::capture-state-request', onCaptureReply);
+        const MATCH_MODE_NAMES = {
+            wm_class: 'Window Class',
+            title: 'Window Title',
+            app_id: 'Application ID',
+        };
 
         // One-line description of what a rule matches, shown on its "Matching" row.
         const matchSummary = (config) => {
-            const parts = [config.wm_class,
-                (config.match_mode === 'title') ? 'Window Title' : 'Window Class'];
-            if (config.is_regex) parts.push('Regex');
+            const parts = [config.wm_class, MATCH_MODE_NAMES[config.match_mode] || MATCH_MODE_NAMES.wm_class];
+            const patternType = patternTypeOf(config);
+            if (patternType !== 'exact') parts.push(PATTERN_TYPE_LABELS[patternType].label);
+            const conditions = config.conditions || [];
+            if (conditions.length > 0)
+                parts.push(`${conditions.length} more condition${conditions.length > 1 ? 's' : ''}`);
+            if (config.state_key) parts.push(`State per ${config.state_key}`);
             return parts.join('  ·  ');
         };
 
-        // Identity of the rule to re-expand after the next refresh, so editing a
-        // rule's matching (which renames its row) doesn't collapse it.
+        // The open windows a rule matches (match-preview-request), for the
+        // live preview of the "Edit Matching" dialog and the running marks of
+        // the known-app picker. requestMatchPreview(rule, onReply) calls
+        // onReply with the windows, or with null when the extension didn't
+        // answer. A reply also settles every older request, since each one
+        // supersedes those before it on the shared key.
+        const matchPreviewCallbacks = new Map();
+        let matchPreviewId = 0;
+        const sendMatchPreview = createRequestChannel('match-preview-request', (reply) => {
+            const onReply = matchPreviewCallbacks.get(reply.id);
+            for (const id of [...matchPreviewCallbacks.keys()]) {
+                if (id <= reply.id) matchPreviewCallbacks.delete(id);
+            }
+            if (onReply) onReply(reply.windows || []);
+        }, () => {
+            const callbacks = [...matchPreviewCallbacks.values()];
+            matchPreviewCallbacks.clear();
+            callbacks.forEach(onReply => onReply(null));
+        });
+        const requestMatchPreview = (rule, onReply) => {
+            matchPreviewCallbacks.set(++matchPreviewId, onReply);
+            sendMatchPreview({ id: matchPreviewId, rule });
+        };
+
+        // Extra conditions a rule's windows must also meet (see matching.js in
+        // the extension for how they're evaluated), as offered by the "Edit
+        // Matching" dialog. Window types are a subset of Meta.WindowType, by
+        // lowercase name.
+        const CONDITION_FIELDS = [
+            { value: 'wm_class', label: 'WM_CLASS' },
+            { value: 'title', label: 'Title' },
+            { value: 'app_id', label: 'App ID' },
+            { value: 'window_type', label: 'Type' },
+            { value: 'dialog', label: 'Dialog' },
+        ];
+        const WINDOW_TYPES = [
+            { value: 'normal', label: 'Normal' },
+            { value: 'dialog', label: 'Dialog' },
+            { value: 'modal_dialog', label: 'Modal' },
+            { value: 'utility', label: 'Utility' },
+        ];
+
+        // One condition in words, e.g. "and title does not match ^Settings".
+        const conditionSummary = (condition) => {
+            const not = condition.negate ? ' not' : '';
+            if (condition.field === 'dialog')
+                return `and is${not} a dialog or transient window`;
+            if (condition.field === 'window_type') {
+                const type = WINDOW_TYPES.find(t => t.value === condition.pattern);
+                return `and type is${not} ${type ? type.label : condition.pattern}`;
+            }
+            const field = { title: 'title', app_id: 'app ID' }[condition.field] || 'WM_CLASS';
+            const verb = {
+                contains: 'contain', glob: 'match glob', regex: 'match',
+            }[patternTypeOf(condition)] || 'equal';
+            return `and ${field} does${not} ${verb} ${condition.pattern}`;
+        };
+
+        // A rule's (or an exclusion's) row title: its pattern plus how it matches.
+        const ruleTitle = (config) => {
+            let title = config.wm_class;
+            if (config.match_mode === 'title') {
+                title += ' (Title)';
+            } else if (config.match_mode === 'app_id') {
+                title += ' (App ID)';
+            } else {
+                title += ' (Class)';
+            }
+
+            const patternType = patternTypeOf(config);
+            if (patternType !== 'exact') {
+                title += ` [${PATTERN_TYPE_LABELS[patternType].label}]`;
+            }
+            return title;
+        };
+
+        // The enabled rule above configs[index] that always matches first, so
+        // that rule can never apply; null if there's none. Only the cases that
+        // can be told for sure are reported: an exact pattern that an earlier
+        // pattern of the same mode matches (the very same one included), and
+        // any rule behind a pattern that matches everything (".*", "*", an
+        // empty substring…), told by CATCH_ALL_PROBES. Window classes and
+        // titles are never empty, so neither are the probes, and a class or
+        // title catch-all shadows rules of every mode; not every window has an
+        // app id, so an app id one only shadows other app id rules.
+        const CATCH_ALL_PROBES = ['0', 'a', 'Some Window — Title 2'];
+        const shadowingRule = (configs, index) => {
+            const config = configs[index];
+            const mode = config.match_mode || 'wm_class';
+
+            return configs.slice(0, index).find(other => {
+                const otherType = patternTypeOf(other);
+                const otherMode = other.match_mode || 'wm_class';
+                if (other.enabled === false) return false;
+                // Extra conditions narrow a rule down: it may well let this one through.
+                if ((other.conditions || []).length > 0) return false;
+
+                const matches = value => patternMatches(other.wm_class, otherType, value);
+                if (otherMode !== mode) return otherMode !== 'app_id' && CATCH_ALL_PROBES.every(matches);
+                if (patternTypeOf(config) === 'exact') return matches(config.wm_class);
+                return CATCH_ALL_PROBES.every(matches);
+            }) || null;
+        };
+
+        // Id of the rule to re-expand after the next refresh, so editing a
+        // rule's matching (which rebuilds the list) doesn't collapse it.
         let expandTarget = null;
 
         // Editor for a rule's matching, offered per-rule so a rule created from
@@ -874,20 +1502,238 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             const matching = buildMatchingRows(editGroup, {
                 pattern: oldPattern,
                 mode: oldMode,
-                isRegex: config.is_regex
+                patternType: patternTypeOf(config),
+                onChanged: () => requestPreview()
+            });
+
+            // Extra AND / AND NOT conditions. Edited on a copy, and only written
+            // on Save together with the pattern, like the rest of the dialog.
+            const conditions = (config.conditions || []).map(c => ({ ...c }));
+
+            const conditionsGroup = new Adw.PreferencesGroup({
+                title: 'Additional Conditions',
+                description: 'Windows matching the pattern must also meet all of these',
+                margin_start: 12, margin_end: 12, margin_bottom: 12
+            });
+            let conditionRows = [];
+            const refreshConditions = () => {
+                conditionRows.forEach(r => conditionsGroup.remove(r));
+                conditionRows = conditions.map((condition, index) => {
+                    // Patterns are the user's own text, not markup.
+                    const row = new Adw.ActionRow({ title: conditionSummary(condition), use_markup: false });
+                    const removeButton = new Gtk.Button({
+                        icon_name: 'user-trash-symbolic',
+                        valign: Gtk.Align.CENTER,
+                        css_classes: ['flat'],
+                        tooltip_text: 'Remove this condition'
+                    });
+                    removeButton.connect('clicked', () => {
+                        conditions.splice(index, 1);
+                        refreshConditions();
+                        requestPreview();
+                    });
+                    row.add_suffix(removeButton);
+                    return row;
+                });
+                if (conditionRows.length === 0)
+                    conditionRows.push(new Adw.ActionRow({ title: 'None — the pattern alone decides' }));
+                conditionRows.forEach(r => conditionsGroup.add(r));
+            };
+            refreshConditions();
+
+            // The form for one more condition: which property, how it's
+            // tested, and whether it must hold or must not.
+            const newConditionGroup = new Adw.PreferencesGroup({
+                title: 'New Condition',
+                margin_start: 12, margin_end: 12, margin_bottom: 12
+            });
+            let newField = 'title';
+            let newType = WINDOW_TYPES[0].value;
+            let newPatternType = 'exact';
+
+            makeChoiceRow(r => newConditionGroup.add(r), 'Property', null,
+                CONDITION_FIELDS, newField, value => {
+                    newField = value;
+                    syncNewCondition();
+                });
+
+            const valueRow = new Adw.ActionRow({ title: 'Value' });
+            const valueEntry = new Gtk.Entry({
+                placeholder_text: 'Text, glob or regex',
+                hexpand: true,
+                valign: Gtk.Align.CENTER
+            });
+            valueRow.add_suffix(valueEntry);
+            newConditionGroup.add(valueRow);
+
+            const valueTypeRow = makeChoiceRow(r => newConditionGroup.add(r), 'Pattern Type', null,
+                PATTERN_TYPES.map(type => ({ value: type, label: PATTERN_TYPE_LABELS[type].label })),
+                newPatternType, value => {
+                    newPatternType = value;
+                });
+
+            const typeRow = makeChoiceRow(r => newConditionGroup.add(r), 'Type', null,
+                WINDOW_TYPES, newType, value => {
+                    newType = value;
+                });
+
+            const negateSwitch = makeSwitchRow(r => newConditionGroup.add(r), 'Must Not Match',
+                'Leave out the windows meeting this condition instead', false, () => {});
+
+            const syncNewCondition = () => {
+                valueRow.visible = newField === 'wm_class' || newField === 'title' || newField === 'app_id';
+                valueTypeRow.visible = valueRow.visible;
+                typeRow.visible = newField === 'window_type';
+            };
+            syncNewCondition();
+
+            const addConditionButton = new Gtk.Button({
+                label: 'Add',
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat']
+            });
+            addConditionButton.connect('clicked', () => {
+                const condition = { field: newField, negate: negateSwitch.active };
+                if (newField === 'window_type') {
+                    condition.pattern = newType;
+                } else if (newField !== 'dialog') {
+                    condition.pattern = valueEntry.get_text().trim();
+                    setPatternType(condition, newPatternType);
+                    if (!condition.pattern) {
+                        showToast('The condition needs a value');
+                        return;
+                    }
+                }
+                conditions.push(condition);
+                refreshConditions();
+                requestPreview();
+                valueEntry.set_text('');
+                negateSwitch.active = false;
+            });
+            newConditionGroup.set_header_suffix(addConditionButton);
+
+            // Which windows share a saved state. Empty keeps the default, one
+            // record for the whole rule; a template splits it per document,
+            // project… (see stateKey in the extension's matching.js).
+            const stateKeyGroup = new Adw.PreferencesGroup({
+                title: 'Saved State Per Window',
+                description: 'Give each window its own remembered place, keyed by {class}, {title}, {app} or a regex capture group — {1}, or {name} for (?<name>…). ' +
+                    'For example {1} with the title regex "^(.*) - Visual Studio Code$" keeps one state per project.',
+                margin_start: 12, margin_end: 12, margin_bottom: 12
+            });
+            const stateKeyRow = new Adw.ActionRow({ title: 'State Key' });
+            const stateKeyEntry = new Gtk.Entry({
+                text: config.state_key || '',
+                placeholder_text: 'One state for the whole rule',
+                hexpand: true,
+                valign: Gtk.Align.CENTER
+            });
+            stateKeyRow.add_suffix(stateKeyEntry);
+            stateKeyGroup.add(stateKeyRow);
+            stateKeyEntry.connect('changed', () => requestPreview());
+
+            // The open windows the rule as edited so far matches, and what
+            // becomes of each: whether this rule governs it, would take it
+            // over once saved, or loses it to a rule higher in the list.
+            const previewGroup = new Adw.PreferencesGroup({
+                title: 'Matching Windows',
+                description: 'Open windows matched by the rule as edited, updated as you type',
+                margin_start: 12, margin_end: 12, margin_bottom: 12
+            });
+            let previewRows = [];
+            const showPreviewRows = (rows) => {
+                previewRows.forEach(r => previewGroup.remove(r));
+                previewRows = rows;
+                previewRows.forEach(r => previewGroup.add(r));
+            };
+            const previewMessage = (text) => showPreviewRows([new Adw.ActionRow({ title: text, use_markup: false })]);
+
+            const configs = getConfigs();
+            const ownIndex = configs.findIndex(c => c.id === config.id);
+            const governorText = (governedBy) => {
+                if (governedBy && !governedBy.defaults && governedBy.id === config.id)
+                    return 'Managed by this rule';
+                if (config.enabled === false) return 'This rule is turned off';
+                if (!governedBy) return 'Not managed now — this rule would take it';
+                if (governedBy.defaults) return 'Global Defaults now — this rule would take it';
+
+                const index = configs.findIndex(c => c.id === governedBy.id);
+                const other = index !== -1 ? ruleTitle(configs[index]) : governedBy.wm_class;
+                return index < ownIndex ? `Kept by ${other}, which is higher in the list` : `${other} now — this rule would take it`;
+            };
+
+            // Replies to edits since superseded, or arriving after the dialog
+            // closed, are dropped: only the latest request's callback acts.
+            let previewSeq = 0;
+            let previewTimeoutId = 0;
+            const showPreview = (seq, windows) => {
+                if (seq !== previewSeq) return;
+                if (!windows) {
+                    previewMessage('Deja Window is not running, so open windows can\'t be shown');
+                    return;
+                }
+                if (windows.length === 0) {
+                    previewMessage('No open window matches');
+                    return;
+                }
+                showPreviewRows(windows.map(w => {
+                    let subtitle = `${w.wm_class || 'No class'}  ·  ${governorText(w.governed_by)}`;
+                    if (stateKeyEntry.get_text().trim()) subtitle += `  ·  State key: ${w.state_key}`;
+                    // Titles and classes are arbitrary text, not markup.
+                    return new Adw.ActionRow({
+                        title: w.title || w.wm_class || 'Untitled window',
+                        subtitle,
+                        use_markup: false
+                    });
+                }));
+            };
+
+            // Debounced so typing a pattern sends one request per pause, not
+            // one per keystroke.
+            const requestPreview = () => {
+                if (previewTimeoutId) GLib.source_remove(previewTimeoutId);
+                previewTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 300, () => {
+                    previewTimeoutId = 0;
+                    const pattern = matching.patternEntry.get_text().trim();
+                    const patternType = matching.getPatternType();
+                    const error = pattern ? patternError(pattern, patternType) : 'Enter a pattern to see the windows it matches';
+                    const seq = ++previewSeq;
+                    if (error) {
+                        previewMessage(error);
+                        return GLib.SOURCE_REMOVE;
+                    }
+
+                    const rule = { wm_class: pattern, match_mode: matching.getMode(), conditions };
+                    setPatternType(rule, patternType);
+                    const stateKey = stateKeyEntry.get_text().trim();
+                    if (stateKey) rule.state_key = stateKey;
+                    requestMatchPreview(rule, windows => showPreview(seq, windows));
+                    return GLib.SOURCE_REMOVE;
+                });
+            };
+            previewMessage('Looking for matching windows…');
+            requestPreview();
+
+            dialog.connect('closed', () => {
+                previewSeq++;
+                if (previewTimeoutId) {
+                    GLib.source_remove(previewTimeoutId);
+                    previewTimeoutId = 0;
+                }
             });
 
             const apply = () => {
                 const newPattern = matching.patternEntry.get_text().trim();
+                const newStateKey = stateKeyEntry.get_text().trim();
                 const newMode = matching.getMode();
 
                 // Set before the write: saving triggers the list rebuild through
                 // the settings handler, which may run before this returns, and
                 // that rebuild is what consumes the target.
-                expandTarget = { wm_class: newPattern, match_mode: newMode };
+                expandTarget = config.id;
 
-                const error = updateConfigMatching(oldPattern, oldMode, newPattern, newMode,
-                    matching.regexSwitch.active);
+                const error = updateConfigMatching(config.id, newPattern, newMode,
+                    matching.getPatternType(), conditions, newStateKey);
                 if (error) {
                     // Keep the dialog open so the entry can be corrected.
                     expandTarget = null;
@@ -899,18 +1745,110 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
 
             saveButton.connect('clicked', apply);
             matching.patternEntry.connect('activate', apply);
+            stateKeyEntry.connect('activate', apply);
+            cancelButton.connect('clicked', () => dialog.close());
+
+            const contentBox = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL });
+            contentBox.append(editGroup);
+            contentBox.append(previewGroup);
+            contentBox.append(conditionsGroup);
+            contentBox.append(newConditionGroup);
+            contentBox.append(stateKeyGroup);
+
+            const toolbarView = new Adw.ToolbarView();
+            toolbarView.add_top_bar(headerBar);
+            toolbarView.set_content(new Gtk.ScrolledWindow({
+                child: contentBox,
+                hscrollbar_policy: Gtk.PolicyType.NEVER,
+                propagate_natural_height: true
+            }));
+            dialog.set_child(toolbarView);
+            dialog.present(window);
+        };
+
+        // Edits a rule's fixed_geometry; onSave gets the new one. Monitors are
+        // numbered from 1 here, 0 standing for "the one the window opens on".
+        const showFixedGeometryDialog = (fixed, onSave) => {
+            const current = fixed || { placement: 'exact', x: 0, y: 0, width: 1200, height: 800 };
+
+            const dialog = new Adw.Dialog({ title: 'Fixed Geometry', content_width: 400 });
+
+            const headerBar = new Adw.HeaderBar({ show_end_title_buttons: false });
+            const cancelButton = new Gtk.Button({ label: 'Cancel' });
+            const saveButton = new Gtk.Button({ label: 'Save', css_classes: ['suggested-action'] });
+            headerBar.pack_start(cancelButton);
+            headerBar.pack_end(saveButton);
+
+            const editGroup = new Adw.PreferencesGroup({
+                margin_start: 12, margin_end: 12, margin_top: 12, margin_bottom: 12,
+                description: 'Where every window of this rule opens, instead of where it was last. Positions count from the top-left corner of the monitor’s work area (below the top bar), so the rule fits any machine it is copied to.'
+            });
+
+            const placementRow = new Adw.ComboRow({
+                title: 'Placement',
+                model: Gtk.StringList.new(FIXED_PLACEMENTS.map(p => p.label)),
+                selected: Math.max(0, FIXED_PLACEMENTS.findIndex(p => p.value === current.placement))
+            });
+            editGroup.add(placementRow);
+
+            const monitorRow = Adw.SpinRow.new_with_range(0, 16, 1);
+            monitorRow.title = 'Monitor';
+            monitorRow.subtitle = '0 for the monitor the window opens on';
+            monitorRow.value = Number.isInteger(current.monitor) ? current.monitor + 1 : 0;
+            editGroup.add(monitorRow);
+
+            const makeSpinRow = (title, min, max, value) => {
+                const spinRow = Adw.SpinRow.new_with_range(min, max, 1);
+                spinRow.title = title;
+                spinRow.value = value;
+                editGroup.add(spinRow);
+                return spinRow;
+            };
+            const xRow = makeSpinRow('X', 0, 100000, current.x || 0);
+            const yRow = makeSpinRow('Y', 0, 100000, current.y || 0);
+            const widthRow = makeSpinRow('Width', 100, 100000, current.width || 1200);
+            const heightRow = makeSpinRow('Height', 100, 100000, current.height || 800);
+
+            const updateSensitivity = () => {
+                const placement = FIXED_PLACEMENTS[placementRow.selected];
+                xRow.sensitive = yRow.sensitive = placement.position;
+                widthRow.sensitive = heightRow.sensitive = placement.size;
+            };
+            placementRow.connect('notify::selected', updateSensitivity);
+            updateSensitivity();
+
+            saveButton.connect('clicked', () => {
+                const placement = FIXED_PLACEMENTS[placementRow.selected];
+                const result = { placement: placement.value };
+                if (monitorRow.value > 0) result.monitor = Math.round(monitorRow.value) - 1;
+                if (placement.position) {
+                    result.x = Math.round(xRow.value);
+                    result.y = Math.round(yRow.value);
+                }
+                if (placement.size) {
+                    result.width = Math.round(widthRow.value);
+                    result.height = Math.round(heightRow.value);
+                }
+                onSave(result);
+                dialog.close();
+            });
             cancelButton.connect('clicked', () => dialog.close());
 
             const toolbarView = new Adw.ToolbarView();
             toolbarView.add_top_bar(headerBar);
-            toolbarView.set_content(editGroup);
+            toolbarView.set_content(new Gtk.ScrolledWindow({
+                child: editGroup,
+                hscrollbar_policy: Gtk.PolicyType.NEVER,
+                propagate_natural_height: true
+            }));
             dialog.set_child(toolbarView);
             dialog.present(window);
         };
 
         // -- List Section --
         const listGroup = new Adw.PreferencesGroup({
-            title: 'Managed Windows'
+            title: 'Managed Windows',
+            description: 'When several rules match a window, the highest one in this list wins. Drag a rule by its handle to change its priority.'
         });
         page.add(listGroup);
 
@@ -918,43 +1856,87 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             // Capture expansion state
             const expandedStates = {};
             rows.forEach(row => {
-                expandedStates[row.get_title()] = row.get_expanded();
+                expandedStates[row._dejaRuleId] = row.get_expanded();
                 listGroup.remove(row);
             });
             rows = [];
 
+            // Rules from before ids, or written by hand, get theirs now.
             const configs = getConfigs();
+            if (configs.some(c => !c.id)) {
+                if (settingsSignalId) settings.block_signal_handler(settingsSignalId);
+                saveConfigs(configs);
+                if (settingsSignalId) settings.unblock_signal_handler(settingsSignalId);
+            }
 
-            configs.forEach(config => {
-                let title = config.wm_class;
-                if (config.match_mode === 'title') {
-                    title += ' (Title)';
-                } else {
-                    title += ' (Class)';
-                }
-
-                if (config.is_regex) {
-                    title += ' [Regex]';
-                }
+            configs.forEach((config, index) => {
+                const title = ruleTitle(config);
 
-                const isExpanded = expandedStates[title] ||
-                    (expandTarget !== null &&
-                     expandTarget.wm_class === config.wm_class &&
-                     expandTarget.match_mode === (config.match_mode || 'wm_class'));
+                const isExpanded = expandedStates[config.id] || expandTarget === config.id;
 
                 // Row stays expandable regardless of enabled state, so a
                 // disabled rule's details can still be reviewed/edited; only
                 // the detail toggles below (never the delete button) are
-                // greyed out while disabled.
+                // greyed out while disabled. The title (and a shadowing
+                // rule's, in the subtitle) is a pattern, not markup.
                 const row = new Adw.ExpanderRow({
                     title: title,
-                    expanded: isExpanded
+                    expanded: isExpanded,
+                    use_markup: false
                 });
                 // Identifies this row for the window menu's "Customize" action
                 // (see applyHighlightTarget below), independent of the display title.
+                row._dejaRuleId = config.id;
                 row._dejaMatchWmClass = config.wm_class;
                 row._dejaMatchMode = config.match_mode || 'wm_class';
 
+                // Priority by drag and drop: the handle carries the rule's
+                // identity, and dropping it on another rule's row takes that
+                // rule's place in the list.
+                const dragHandle = new Gtk.Image({
+                    icon_name: 'list-drag-handle-symbolic',
+                    css_classes: ['dim-label'],
+                    tooltip_text: 'Drag to change this rule’s priority'
+                });
+                row.add_prefix(dragHandle);
+
+                const dragSource = new Gtk.DragSource({ actions: Gdk.DragAction.MOVE });
+                dragSource.connect('prepare', () => Gdk.ContentProvider.new_for_value(
+                    JSON.stringify({ id: config.id })));
+                dragSource.connect('drag-begin', (source) => {
+                    source.set_icon(new Gtk.WidgetPaintable({ widget: row }), 0, 0);
+                });
+                dragHandle.add_controller(dragSource);
+
+                const dropTarget = Gtk.DropTarget.new(GObject.TYPE_STRING, Gdk.DragAction.MOVE);
+                dropTarget.connect('drop', (_target, value) => {
+                    let dragged = null;
+                    try {
+                        dragged = JSON.parse(value);
+                    } catch (e) {
+                        return false;
+                    }
+                    // Only a rule row of this list can be dropped here.
+                    if (!dragged || !getConfigs().some(c => c.id === dragged.id)) return false;
+
+                    moveConfig(dragged.id, index);
+                    return true;
+                });
+                row.add_controller(dropTarget);
+
+                // A rule that can never win is still listed (and kept), but
+                // says why it has no effect.
+                const shadow = config.enabled !== false ? shadowingRule(configs, index) : null;
+                if (shadow) {
+                    row.set_subtitle(`Never applies: shadowed by ${ruleTitle(shadow)}, which comes first`);
+                    row.add_suffix(new Gtk.Image({
+                        icon_name: 'dialog-warning-symbolic',
+                        css_classes: ['warning'],
+                        valign: Gtk.Align.CENTER,
+                        tooltip_text: 'Another rule higher in the list matches every window this one does'
+                    }));
+                }
+
                 // Lets the rule be switched off without deleting it: same
                 // effect as removing it (DejaWindowExtension._getConfigForWindow
                 // skips disabled rules), but its customization is kept and the
@@ -973,7 +1955,8 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
                 // while the rule is switched off.
                 const matchRow = new Adw.ActionRow({
                     title: 'Matching',
-                    subtitle: matchSummary(config)
+                    subtitle: matchSummary(config),
+                    use_markup: false
                 });
                 const editMatchButton = new Gtk.Button({
                     icon_name: 'document-edit-symbolic',
@@ -984,11 +1967,40 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
                 matchRow.add_suffix(editMatchButton);
                 row.add_row(matchRow);
 
+                // The same reordering as dragging, for the keyboard. Like the
+                // matching row it stays usable while the rule is switched off.
+                const priorityRow = new Adw.ActionRow({
+                    title: 'Priority',
+                    subtitle: `${index + 1} of ${configs.length} — the first matching rule wins`
+                });
+                const moveUpButton = new Gtk.Button({
+                    icon_name: 'go-up-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    sensitive: index > 0,
+                    tooltip_text: 'Move up (higher priority)'
+                });
+                moveUpButton.connect('clicked', () => moveConfig(config.id, index - 1));
+                const moveDownButton = new Gtk.Button({
+                    icon_name: 'go-down-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    sensitive: index < configs.length - 1,
+                    tooltip_text: 'Move down (lower priority)'
+                });
+                moveDownButton.connect('clicked', () => moveConfig(config.id, index + 1));
+                const moveBox = new Gtk.Box({
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['linked']
+                });
+                moveBox.append(moveUpButton);
+                moveBox.append(moveDownButton);
+                priorityRow.add_suffix(moveBox);
+                row.add_row(priorityRow);
+
                 const detailRows = [];
                 const addAppRow = (title, subtitle, key, initialValue, extraSuffix = null) => {
                     let detailRow;
                     const sw = makeSwitchRow(r => { detailRow = r; row.add_row(r); }, title, subtitle, initialValue,
-                        value => updateConfig(config.wm_class, config.match_mode, key, value), extraSuffix);
+                        value => updateConfig(config.id, key, value), extraSuffix);
                     detailRows.push(detailRow);
                     return sw;
                 };
@@ -1002,16 +2014,51 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
                     valign: Gtk.Align.CENTER,
                     tooltip_text: 'Save the current window position/size as the fixed state (requires Locked)'
                 });
-                captureButton.connect('clicked', () => requestCapture(config.wm_class, config.match_mode));
+                captureButton.connect('clicked', () => requestCapture(config));
 
                 const restoreSection = buildRestoreSection(config,
-                    (key, value) => updateConfig(config.wm_class, config.match_mode, key, value));
+                    (key, value) => updateConfig(config.id, key, value));
                 row.add_row(restoreSection);
                 detailRows.push(restoreSection);
 
                 const lockedSwitch = addAppRow('Locked', 'Freeze the saved state: window changes are no longer recorded',
                     'locked', config.locked || false, captureButton);
 
+                // An explicit geometry, typed in rather than captured: every
+                // window of the rule opens there, whatever was saved. Workspace,
+                // minimized, above and sticky still follow the saved state.
+                const fixedRow = new Adw.ActionRow({ title: 'Fixed Geometry' });
+                const clearFixedButton = new Gtk.Button({
+                    icon_name: 'edit-clear-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    css_classes: ['flat'],
+                    tooltip_text: 'Remove the fixed geometry, going back to the saved state'
+                });
+                const editFixedButton = new Gtk.Button({
+                    icon_name: 'document-edit-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: 'Set where this rule’s windows always open'
+                });
+                fixedRow.add_suffix(clearFixedButton);
+                fixedRow.add_suffix(editFixedButton);
+                row.add_row(fixedRow);
+                detailRows.push(fixedRow);
+
+                const setFixedGeometry = (fixed) => {
+                    config.fixed_geometry = fixed;
+                    updateConfig(config.id, 'fixed_geometry', fixed);
+                    fixedRow.subtitle = fixed
+                        ? `${fixedGeometrySummary(fixed)}. Replaces the saved size and position.`
+                        : 'None: windows open where they were last saved';
+                    clearFixedButton.visible = !!fixed;
+                };
+                fixedRow.subtitle = config.fixed_geometry
+                    ? `${fixedGeometrySummary(config.fixed_geometry)}. Replaces the saved size and position.`
+                    : 'None: windows open where they were last saved';
+                clearFixedButton.visible = !!config.fixed_geometry;
+                clearFixedButton.connect('clicked', () => setFixedGeometry(undefined));
+                editFixedButton.connect('clicked', () => showFixedGeometryDialog(config.fixed_geometry, setFixedGeometry));
+
                 // Only offered while the rule is locked: without the lock the very
                 // next move/resize of the window would overwrite the state just
                 // captured, so the button would be pointless.
@@ -1022,7 +2069,7 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
 
                 detailRows.forEach(r => { r.sensitive = enabledSwitch.active; });
                 enabledSwitch.connect('notify::active', () => {
-                    updateConfig(config.wm_class, config.match_mode, 'enabled', enabledSwitch.active);
+                    updateConfig(config.id, 'enabled', enabledSwitch.active);
                     detailRows.forEach(r => { r.sensitive = enabledSwitch.active; });
                 });
 
@@ -1036,7 +2083,7 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
                     valign: Gtk.Align.CENTER
                 });
                 deleteBtn.connect('clicked', () => {
-                    removeConfig(config.wm_class, config.match_mode);
+                    removeConfig(config.id);
                 });
                 deleteRow.add_suffix(deleteBtn);
                 row.add_row(deleteRow);
@@ -1072,8 +2119,12 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             settings.set_string('prefs-highlight-target', '');
             if (!target || !target.wm_class) return;
 
+            // A rule the window menu read before it had an id is found by its
+            // pattern and mode instead.
             const matchMode = target.match_mode || 'wm_class';
-            const row = rows.find(r => r._dejaMatchWmClass === target.wm_class && r._dejaMatchMode === matchMode);
+            const row = target.id
+                ? rows.find(r => r._dejaRuleId === target.id)
+                : rows.find(r => r._dejaMatchWmClass === target.wm_class && r._dejaMatchMode === matchMode);
             if (!row) return;
 
             window.set_visible_page(page);
@@ -1093,12 +2144,18 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             restore_size: false,
             restore_pos: false,
             restore_maximized: false,
+            restore_tiled: false,
+            restore_fullscreen: false,
             restore_workspace: false,
             switch_to_workspace: false,
             restore_minimized: false,
             restore_above: false,
             restore_sticky: false,
             avoid_overlap: true,
+            restore_on_reconnect: false,
+            restore_on_rebind: false,
+            enforce_ms: 0,
+            position_mode: 'absolute',
             excluded_apps: []
         };
 
@@ -1133,7 +2190,7 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
         };
 
         // Excluded apps are stored as rule objects in excluded_apps
-        // ({wm_class: pattern, match_mode, is_regex}), mirroring per-app configs.
+        // ({wm_class: pattern, match_mode, pattern_type}), mirroring per-app configs.
         const getExcludedApps = (defaults) => [...(defaults.excluded_apps || [])];
 
         const saveExcludedApps = (defaults, apps) => {
@@ -1143,32 +2200,29 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
 
         // Used by the exclude list: a row needs to appear/disappear, so let the
         // changed:: signal trigger a full section rebuild instead of blocking it.
-        const removeExcluded = (wmClass, matchMode, isRegex) => {
+        const removeExcluded = (wmClass, matchMode, patternType) => {
             const defaults = getGlobalDefaults();
             const apps = getExcludedApps(defaults).filter(a =>
-                !(a.wm_class === wmClass && (a.match_mode || 'wm_class') === (matchMode || 'wm_class') && !!a.is_regex === !!isRegex));
+                !(a.wm_class === wmClass && (a.match_mode || 'wm_class') === (matchMode || 'wm_class') && patternTypeOf(a) === patternType));
             saveExcludedApps(defaults, apps);
         };
 
         // Same null-or-reason contract as addConfig, so a bad pattern is reported
         // here the way it is on the Applications tab instead of silently doing
         // nothing.
-        const addExcluded = (wmClass, isRegex = false, matchMode = 'wm_class') => {
+        const addExcluded = (wmClass, patternType = 'exact', matchMode = 'wm_class') => {
             if (!wmClass) return 'The pattern cannot be empty';
 
-            if (isRegex) {
-                try {
-                    new RegExp(wmClass);
-                } catch (e) {
-                    return `Invalid regular expression: ${e.message}`;
-                }
-            }
+            const error = patternError(wmClass, patternType);
+            if (error) return error;
 
             const defaults = getGlobalDefaults();
             const apps = getExcludedApps(defaults);
-            if (apps.some(a => a.wm_class === wmClass && (a.match_mode || 'wm_class') === matchMode && !!a.is_regex === !!isRegex))
+            if (apps.some(a => a.wm_class === wmClass && (a.match_mode || 'wm_class') === matchMode && patternTypeOf(a) === patternType))
                 return 'That app is already excluded';
-            apps.push({ wm_class: wmClass, match_mode: matchMode, is_regex: isRegex });
+            const exclusion = { wm_class: wmClass, match_mode: matchMode };
+            setPatternType(exclusion, patternType);
+            apps.push(exclusion);
             saveExcludedApps(defaults, apps);
             return null;
         };
@@ -1187,7 +2241,7 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
 
         // The same "Matching" block as the Applications tab and the per-rule
         // editor, so an exclusion is described exactly like the rule it mirrors
-        // — window class or title, optionally as a regex.
+        // — window class, title or app id, compared by any pattern type.
         const excludeMatching = buildMatchingRows(excludeGroup);
 
         const excludeAddButton = new Gtk.Button({
@@ -1202,7 +2256,7 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             const text = excludeMatching.patternEntry.get_text().trim();
             if (!text) return;
 
-            const error = addExcluded(text, excludeMatching.regexSwitch.active, excludeMatching.getMode());
+            const error = addExcluded(text, excludeMatching.getPatternType(), excludeMatching.getMode());
             if (error) {
                 // Leave the form filled in so the pattern can be corrected.
                 showToast(error);
@@ -1289,17 +2343,13 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
             globalDefaultsRows.push(restoreSection);
 
             getExcludedApps(defaults).forEach(rule => {
-                let title = rule.wm_class;
-                title += (rule.match_mode === 'title') ? ' (Title)' : ' (Class)';
-                if (rule.is_regex) title += ' [Regex]';
-
-                const excludedRow = new Adw.ActionRow({ title: title });
+                const excludedRow = new Adw.ActionRow({ title: ruleTitle(rule), use_markup: false });
                 const removeBtn = new Gtk.Button({
                     icon_name: 'user-trash-symbolic',
                     css_classes: ['destructive-action'],
                     valign: Gtk.Align.CENTER
                 });
-                removeBtn.connect('clicked', () => removeExcluded(rule.wm_class, rule.match_mode, rule.is_regex));
+                removeBtn.connect('clicked', () => removeExcluded(rule.wm_class, rule.match_mode, patternTypeOf(rule)));
                 excludedRow.add_suffix(removeBtn);
                 excludeGroup.add(excludedRow);
                 excludeRows.push(excludedRow);
@@ -1315,6 +2365,765 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
         // exclude-list add/remove which is intentionally left unblocked above)
         globalDefaultsSignalId = settings.connect('changed::window-global-defaults', refreshGlobalDefaultsSection);
 
+        // -- Layout Snapshots Section --
+        // Saving and restoring a snapshot need the live windows, so both go
+        // through snapshot-request; deleting one only edits layout-snapshots
+        // and is done right here.
+
+        const snapshotsGroup = new Adw.PreferencesGroup({
+            title: 'Layout Snapshots',
+            description: 'Save where every managed window is right now under a name, and put them all back there later in one click. Also available from the top bar icon.'
+        });
+        layoutsPage.add(snapshotsGroup);
+
+        const snapshotSaveRow = new Adw.ActionRow({ title: 'Save Current Layout' });
+        const snapshotNameEntry = new Gtk.Entry({
+            placeholder_text: 'Name, e.g. Coding',
+            hexpand: true,
+            valign: Gtk.Align.CENTER
+        });
+        snapshotSaveRow.add_suffix(snapshotNameEntry);
+        const snapshotSaveButton = new Gtk.Button({
+            icon_name: 'document-save-symbolic',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['suggested-action'],
+            tooltip_text: 'Save the current layout under this name (replaces a layout with the same name)'
+        });
+        snapshotSaveRow.add_suffix(snapshotSaveButton);
+        snapshotsGroup.add(snapshotSaveRow);
+
+        const sendSnapshotRequest = createRequestChannel('snapshot-request', (reply) => {
+            if (reply.status === 'saved') {
+                snapshotNameEntry.set_text('');
+                showToast(`Layout “${reply.name}” saved with ${reply.count} window(s).`);
+            } else if (reply.status === 'restored') {
+                if (reply.count === 0 && !reply.launched) {
+                    showToast(`No open window or installed app belongs to the layout “${reply.name}”.`);
+                } else if (reply.launched) {
+                    showToast(`Layout “${reply.name}” restored on ${reply.count} window(s), starting ${reply.launched} more.`);
+                } else {
+                    showToast(`Layout “${reply.name}” restored on ${reply.count} window(s).`);
+                }
+            } else if (reply.status === 'no-windows') {
+                showToast('There are no managed windows to save in a layout.');
+            } else if (reply.status === 'paused') {
+                showToast('Deja Window is switched off, so the layout wasn’t restored.');
+            } else {
+                showToast(`No layout named “${reply.name}”.`);
+            }
+        }, 'Deja Window is not running, so the layout could not be saved or restored.');
+
+        const onSnapshotSaveClicked = () => {
+            const name = snapshotNameEntry.get_text().trim();
+            if (!name) return;
+            sendSnapshotRequest({ action: 'save', name });
+        };
+        snapshotSaveButton.connect('clicked', onSnapshotSaveClicked);
+        snapshotNameEntry.connect('activate', onSnapshotSaveClicked);
+
+        const getSnapshots = () => {
+            try {
+                const snapshots = JSON.parse(settings.get_string('layout-snapshots'));
+                return Array.isArray(snapshots) ? snapshots : [];
+            } catch (e) {
+                console.error('Error parsing layout-snapshots:', e);
+                return [];
+            }
+        };
+
+        let snapshotRows = [];
+
+        const refreshSnapshots = () => {
+            snapshotRows.forEach(row => snapshotsGroup.remove(row));
+            snapshotRows = [];
+
+            getSnapshots().forEach(snapshot => {
+                const count = (snapshot.windows || []).length;
+                const created = snapshot.created
+                    ? GLib.DateTime.new_from_unix_local(snapshot.created).format('%x %H:%M')
+                    : null;
+
+                const row = new Adw.ActionRow({
+                    title: GLib.markup_escape_text(snapshot.name, -1),
+                    subtitle: created ? `${count} window(s)  ·  saved ${created}` : `${count} window(s)`
+                });
+
+                const restoreBtn = new Gtk.Button({
+                    icon_name: 'document-revert-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: 'Move the open windows back to this layout, starting apps that aren’t running'
+                });
+                restoreBtn.connect('clicked', () => sendSnapshotRequest({ action: 'restore', name: snapshot.name }));
+                row.add_suffix(restoreBtn);
+
+                const deleteBtn = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    css_classes: ['destructive-action'],
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: 'Delete this layout'
+                });
+                deleteBtn.connect('clicked', () => {
+                    settings.set_string('layout-snapshots',
+                        JSON.stringify(getSnapshots().filter(s => s.name !== snapshot.name)));
+                });
+                row.add_suffix(deleteBtn);
+
+                snapshotsGroup.add(row);
+                snapshotRows.push(row);
+            });
+        };
+
+        refreshSnapshots();
+        let snapshotsSignalId = settings.connect('changed::layout-snapshots', refreshSnapshots);
+
+        // -- Saved States Section --
+        // Every identity in window-app-states, with each monitor setup profile
+        // and window slot it holds (see the record format in extension.js).
+        // Edits rewrite a single slot in place; the extension reads the key
+        // fresh on each restore, so they apply the next time the window opens.
+
+        // Filled in by the Monitor Map section below, but shown first.
+        const mapGroup = new Adw.PreferencesGroup({
+            title: 'Monitor Map',
+            description: 'The saved windows on your monitors as they are arranged now. Drag a window to move it, or its corner to resize it.'
+        });
+        statesPage.add(mapGroup);
+
+        const statesGroup = new Adw.PreferencesGroup({
+            title: 'Saved States',
+            description: 'Where each window goes when it opens again. Edit a value to correct it, or forget a state to let the window start over. A window that is open keeps saving where it is as it moves.'
+        });
+        statesPage.add(statesGroup);
+
+        const forgetOrphanedButton = new Gtk.Button({
+            label: 'Forget Orphaned',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action'],
+            tooltip_text: 'Forget every state no rule uses anymore'
+        });
+        statesGroup.set_header_suffix(forgetOrphanedButton);
+
+        // Keys of a record (or profile) that aren't window state.
+        const STATE_META_KEYS = ['instances', 'layouts', 'rule'];
+
+        const getSavedStates = () => {
+            try {
+                return JSON.parse(settings.get_string('window-app-states')) || {};
+            } catch (e) {
+                console.error('Error parsing window-app-states:', e);
+                return {};
+            }
+        };
+
+        const saveSavedStates = (states) => {
+            settings.set_string('window-app-states', JSON.stringify(states));
+        };
+
+        // What a saved record belongs to: { rule } or { defaults: true }, or
+        // null once nothing would ever restore it. A record saved under a
+        // state_key template names its rule (record.rule, see ruleKey); any
+        // other is keyed by a rule's ruleKey or, for Global Defaults, by WM_CLASS.
+        // Only a WM_CLASS of a window seen (in window-history, or the legacy
+        // known-wm-classes) and not excluded outright counts as the defaults'
+        // one: anything else, like a deleted rule's pattern, is orphaned.
+        const stateOwner = (identity, record, configs, defaults, seenClasses) => {
+            if (record.rule !== undefined) {
+                const rule = configs.find(c => c.state_key && ruleKey(c) === record.rule);
+                return rule ? { rule } : null;
+            }
+            const rule = configs.find(c => ruleKey(c) === identity);
+            if (rule) return { rule };
+            if (!defaults.enabled || !seenClasses.has(identity)) return null;
+            const excluded = getExcludedApps(defaults).some(exclusion =>
+                (exclusion.match_mode || 'wm_class') === 'wm_class' && !(exclusion.conditions || []).length &&
+                patternMatches(exclusion.wm_class, patternTypeOf(exclusion), identity));
+            return excluded ? null : { defaults: true };
+        };
+
+        // The slots of a profile holding any state, as [slot, state] pairs.
+        const profileSlots = (profile) => {
+            const slots = [profile, ...(profile.instances || [])];
+            return slots.map((state, slot) => [slot, state])
+                .filter(([, state]) => Object.keys(state).some(key => !STATE_META_KEYS.includes(key)));
+        };
+
+        // A monitor setup profile's name, from its layout signature
+        // (MonitorTracker.layoutSignature): the sizes of its screens.
+        const layoutName = (signature) => {
+            const sizes = signature.split('|').map(part => part.slice(part.lastIndexOf(',') + 1));
+            return `${sizes.length} screen${sizes.length !== 1 ? 's' : ''} (${sizes.join(' + ')})`;
+        };
+
+        const TILE_NAMES = { left: 'Tiled left', right: 'Tiled right', vertical: 'Maximized vertically', horizontal: 'Maximized horizontally' };
+        const STATE_FLAG_NAMES = {
+            maximized: 'Maximized',
+            fullscreen: 'Fullscreen',
+            minimized: 'Minimized',
+            above: 'Always on top',
+            sticky: 'On all workspaces'
+        };
+
+        const stateSummary = (state) => {
+            const parts = [];
+            if (state.monitor_id) parts.push(`Monitor ${state.monitor_id.connector}`);
+            else if (state.monitor !== undefined) parts.push(`Monitor ${state.monitor + 1}`);
+            if (state.workspace !== undefined) parts.push(`Workspace ${state.workspace + 1}`);
+            if (state.width !== undefined) parts.push(`${state.width}×${state.height}`);
+            if (state.x !== undefined) parts.push(`at ${state.x}, ${state.y}`);
+            if (state.tile) parts.push(TILE_NAMES[state.tile] || state.tile);
+            Object.entries(STATE_FLAG_NAMES).forEach(([key, name]) => state[key] && parts.push(name));
+            return parts.join('  ·  ') || 'Nothing saved';
+        };
+
+        // Edits one slot: its numbers, and its on/off states. Only the fields
+        // the slot has are offered, the others being ones its rule doesn't
+        // restore. The monitor is shown but not edited: restore goes by the
+        // screen's identity, which a number can't express.
+        const showStateEditor = (identity, signature, slot) => {
+            const states = getSavedStates();
+            const record = states[identity];
+            const profile = record && (signature ? record.layouts?.[signature] : record);
+            const state = profile && (slot === 0 ? profile : profile.instances?.[slot - 1]);
+            if (!state) return;
+
+            const dialog = new Adw.Dialog({ title: 'Edit Saved State', content_width: 400 });
+
+            const headerBar = new Adw.HeaderBar({ show_end_title_buttons: false });
+            const cancelButton = new Gtk.Button({ label: 'Cancel' });
+            const saveButton = new Gtk.Button({ label: 'Save', css_classes: ['suggested-action'] });
+            headerBar.pack_start(cancelButton);
+            headerBar.pack_end(saveButton);
+
+            const editGroup = new Adw.PreferencesGroup({
+                margin_start: 12, margin_end: 12, margin_top: 12, margin_bottom: 12,
+                title: GLib.markup_escape_text(identity, -1),
+                description: `${signature ? layoutName(signature) : 'Any monitor setup'}, window ${slot + 1}`
+            });
+
+            if (state.monitor_id || state.monitor !== undefined) {
+                editGroup.add(new Adw.ActionRow({
+                    title: 'Monitor',
+                    subtitle: state.monitor_id
+                        ? `${state.monitor_id.connector} (${[state.monitor_id.vendor, state.monitor_id.product].filter(Boolean).join(' ')})`
+                        : `${state.monitor + 1}`
+                }));
+            }
+
+            // [key, title, min, max, offset]: workspaces are shown from 1.
+            const NUMBER_FIELDS = [
+                ['x', 'X', -100000, 100000, 0],
+                ['y', 'Y', -100000, 100000, 0],
+                ['width', 'Width', 50, 100000, 0],
+                ['height', 'Height', 50, 100000, 0],
+                ['workspace', 'Workspace', 1, 1000, 1]
+            ];
+            const numberRows = NUMBER_FIELDS.filter(([key]) => typeof state[key] === 'number')
+                .map(([key, title, min, max, offset]) => {
+                    const row = Adw.SpinRow.new_with_range(min, max, 1);
+                    row.title = title;
+                    row.value = state[key] + offset;
+                    editGroup.add(row);
+                    return [key, row, offset];
+                });
+
+            const flagRows = Object.entries(STATE_FLAG_NAMES).filter(([key]) => typeof state[key] === 'boolean')
+                .map(([key, title]) => {
+                    const row = new Adw.SwitchRow({ title, active: state[key] });
+                    editGroup.add(row);
+                    return [key, row];
+                });
+
+            saveButton.connect('clicked', () => {
+                // Re-read: the extension may have saved something meanwhile.
+                const current = getSavedStates();
+                const currentRecord = current[identity];
+                const currentProfile = currentRecord && (signature ? currentRecord.layouts?.[signature] : currentRecord);
+                const target = currentProfile && (slot === 0 ? currentProfile : currentProfile.instances?.[slot - 1]);
+                if (!target) {
+                    showToast('This saved state no longer exists.');
+                    dialog.close();
+                    return;
+                }
+                numberRows.forEach(([key, row, offset]) => { target[key] = Math.round(row.value) - offset; });
+                flagRows.forEach(([key, row]) => { target[key] = row.active; });
+                saveSavedStates(current);
+                dialog.close();
+            });
+            cancelButton.connect('clicked', () => dialog.close());
+
+            const toolbarView = new Adw.ToolbarView();
+            toolbarView.add_top_bar(headerBar);
+            toolbarView.set_content(new Gtk.ScrolledWindow({
+                child: editGroup,
+                hscrollbar_policy: Gtk.PolicyType.NEVER,
+                propagate_natural_height: true
+            }));
+            dialog.set_child(toolbarView);
+            dialog.present(window);
+        };
+
+        const forgetStates = (identities) => {
+            const states = getSavedStates();
+            identities.forEach(identity => delete states[identity]);
+            saveSavedStates(states);
+        };
+
+        let stateRows = [];
+        let orphanedIdentities = [];
+        // Expanded rows stay expanded across the rebuild each save triggers.
+        const expandedIdentities = new Set();
+
+        const refreshSavedStates = () => {
+            stateRows.forEach(row => statesGroup.remove(row));
+            stateRows = [];
+            orphanedIdentities = [];
+
+            const states = getSavedStates();
+            const configs = getConfigs();
+            const defaults = getGlobalDefaults();
+            const seenClasses = new Set([...Object.keys(getWindowHistory()), ...settings.get_strv('known-wm-classes')]);
+
+            Object.keys(states).sort((a, b) => a.localeCompare(b)).forEach(identity => {
+                const record = states[identity];
+                if (!record || typeof record !== 'object') return;
+
+                const owner = stateOwner(identity, record, configs, defaults, seenClasses);
+                if (!owner) orphanedIdentities.push(identity);
+
+                const profiles = [[null, record],
+                    ...Object.entries(record.layouts || {}).sort(([a], [b]) => a.localeCompare(b))];
+                const entries = profiles.flatMap(([signature, profile]) =>
+                    profileSlots(profile).map(([slot, state]) => ({ signature, slot, state })));
+
+                const row = new Adw.ExpanderRow({
+                    title: GLib.markup_escape_text(identity, -1),
+                    subtitle: GLib.markup_escape_text(owner
+                        ? (owner.defaults ? 'Global Defaults' : `Rule: ${ruleTitle(owner.rule)}`)
+                        : 'Orphaned: no rule uses it anymore', -1),
+                    expanded: expandedIdentities.has(identity)
+                });
+                row.connect('notify::expanded', () => {
+                    if (row.expanded) expandedIdentities.add(identity);
+                    else expandedIdentities.delete(identity);
+                });
+
+                const forgetButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    css_classes: ['destructive-action'],
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: 'Forget this saved state'
+                });
+                forgetButton.connect('clicked', () => {
+                    expandedIdentities.delete(identity);
+                    forgetStates([identity]);
+                });
+                row.add_suffix(forgetButton);
+
+                entries.forEach(({ signature, slot, state }) => {
+                    const slotRow = new Adw.ActionRow({
+                        title: `${signature ? layoutName(signature) : 'Any monitor setup'}, window ${slot + 1}`,
+                        subtitle: stateSummary(state)
+                    });
+                    if (signature) slotRow.tooltip_text = signature;
+                    const editButton = new Gtk.Button({
+                        icon_name: 'document-edit-symbolic',
+                        valign: Gtk.Align.CENTER,
+                        css_classes: ['flat'],
+                        tooltip_text: 'Edit this saved state'
+                    });
+                    editButton.connect('clicked', () => showStateEditor(identity, signature, slot));
+                    slotRow.add_suffix(editButton);
+                    row.add_row(slotRow);
+                });
+
+                statesGroup.add(row);
+                stateRows.push(row);
+            });
+
+            if (stateRows.length === 0) {
+                const emptyRow = new Adw.ActionRow({
+                    title: 'No saved states yet',
+                    subtitle: 'They appear here once a managed window has been moved or resized.'
+                });
+                statesGroup.add(emptyRow);
+                stateRows.push(emptyRow);
+            }
+            forgetOrphanedButton.sensitive = orphanedIdentities.length > 0;
+        };
+
+        forgetOrphanedButton.connect('clicked', () => {
+            const count = orphanedIdentities.length;
+            const confirm = new Adw.MessageDialog({
+                heading: 'Forget Orphaned States?',
+                body: `${count} saved state${count !== 1 ? 's' : ''} no rule uses anymore will be deleted: ${orphanedIdentities.join(', ')}.`,
+                transient_for: window,
+                modal: true
+            });
+            confirm.add_response('cancel', 'Cancel');
+            confirm.add_response('forget', 'Forget');
+            confirm.set_response_appearance('forget', Adw.ResponseAppearance.DESTRUCTIVE);
+            confirm.set_default_response('cancel');
+            confirm.set_close_response('cancel');
+            confirm.connect('response', (_dlg, response) => {
+                if (response === 'forget') forgetStates(orphanedIdentities);
+            });
+            confirm.present();
+        });
+
+        refreshSavedStates();
+        // Owners change with the rules and Global Defaults too.
+        let savedStatesSignalIds = ['window-app-states', 'window-app-configs', 'window-global-defaults']
+            .map(key => settings.connect(`changed::${key}`, refreshSavedStates));
+
+        // -- Monitor Map Section --
+        // Draws the current monitor arrangement and, on top, the saved
+        // rectangle of every window slot in the profile this setup restores
+        // from (see layoutProfile in extension.js). A dragged rectangle is
+        // written back in place, along with the monitor it ends up on.
+
+        // Logical pixels of margin around the map, of the corner handle that
+        // resizes, and of the stand-in size drawn (dashed) for a slot that
+        // only remembers its position.
+        const MAP_MARGIN = 12;
+        const MAP_HANDLE = 10;
+        const MAP_UNSIZED = { width: 400, height: 300 };
+        const MAP_COLORS = [[0.21, 0.52, 0.89], [0.2, 0.82, 0.48], [0.96, 0.76, 0.07],
+            [0.88, 0.11, 0.14], [0.57, 0.25, 0.67], [1, 0.47, 0], [0.39, 0.27, 0.19]];
+
+        const mapArea = new Gtk.DrawingArea({ content_height: 260, hexpand: true });
+        const mapFrame = new Gtk.Frame({ child: mapArea, margin_bottom: 6 });
+        mapGroup.add(mapFrame);
+        const mapSelectionRow = new Adw.ActionRow();
+        mapGroup.add(mapSelectionRow);
+
+        // The screens as { id, geometry }: identities from Mutter's
+        // DisplayConfig, geometry from GDK, matched by connector. Empty until
+        // both are known.
+        let mapMonitors = [];
+        let mapSignature = null;
+        // { identity, slot, color, x, y, width, height, sized } per slot with
+        // a saved position, in drawing order.
+        let mapRects = [];
+        let mapSelected = null;
+        // The rectangle being dragged: { rect, resize, start }.
+        let mapDrag = null;
+
+        const gdkMonitors = display.get_monitors();
+        const monitorsCancellable = new Gio.Cancellable();
+
+        // The profile of a record this monitor setup restores from, as
+        // [signature, profile] (signature null for the record's own fields).
+        const mapProfileOf = (record) => {
+            const layouts = Object.keys(record.layouts || {});
+            if (!mapSignature || layouts.length === 0) return [null, record];
+            const signature = record.layouts[mapSignature] ? mapSignature : nearestLayout(mapSignature, layouts);
+            return [signature, record.layouts[signature]];
+        };
+
+        const refreshMapRects = () => {
+            if (mapDrag) return;
+
+            const states = getSavedStates();
+            mapRects = [];
+            Object.keys(states).sort((a, b) => a.localeCompare(b)).forEach((identity, index) => {
+                const record = states[identity];
+                if (!record || typeof record !== 'object') return;
+
+                const [, profile] = mapProfileOf(record);
+                profileSlots(profile).forEach(([slot, state]) => {
+                    if (typeof state.x !== 'number' || typeof state.y !== 'number') return;
+                    const sized = typeof state.width === 'number' && typeof state.height === 'number';
+                    mapRects.push({
+                        identity, slot, color: MAP_COLORS[index % MAP_COLORS.length],
+                        x: state.x, y: state.y,
+                        width: sized ? state.width : MAP_UNSIZED.width,
+                        height: sized ? state.height : MAP_UNSIZED.height,
+                        sized
+                    });
+                });
+            });
+            if (mapSelected) {
+                mapSelected = mapRects.find(rect =>
+                    rect.identity === mapSelected.identity && rect.slot === mapSelected.slot) || null;
+            }
+            updateMapSelectionRow();
+            mapArea.queue_draw();
+        };
+
+        const refreshMapMonitors = (ids) => {
+            mapMonitors = [];
+            for (let i = 0; ids && i < gdkMonitors.get_n_items(); i++) {
+                const monitor = gdkMonitors.get_item(i);
+                const id = ids.find(m => m.connector === monitor.get_connector());
+                if (!id) continue;
+                const { x, y, width, height } = monitor.get_geometry();
+                mapMonitors.push({ id, geometry: { x, y, width, height } });
+            }
+            mapSignature = mapMonitors.length > 0 ? layoutSignature(mapMonitors) : null;
+            refreshMapRects();
+        };
+        const readMapMonitors = () => readMonitorIdentities(monitorsCancellable, refreshMapMonitors);
+
+        const updateMapSelectionRow = () => {
+            if (mapMonitors.length === 0) {
+                mapSelectionRow.title = 'Reading the monitor arrangement…';
+                mapSelectionRow.subtitle = '';
+            } else if (!mapSelected) {
+                mapSelectionRow.title = mapRects.length > 0 ? 'Click a window to see its saved geometry' : 'No saved positions yet';
+                mapSelectionRow.subtitle = '';
+            } else {
+                const rect = mapSelected;
+                mapSelectionRow.title = GLib.markup_escape_text(`${rect.identity}, window ${rect.slot + 1}`, -1);
+                mapSelectionRow.subtitle = rect.sized
+                    ? `${rect.width}×${rect.height} at ${rect.x}, ${rect.y}`
+                    : `At ${rect.x}, ${rect.y} (its size isn’t remembered)`;
+            }
+        };
+
+        // Maps logical coordinates to the drawing area's: { scale, dx, dy }.
+        const mapTransform = () => {
+            const left = Math.min(...mapMonitors.map(m => m.geometry.x));
+            const top = Math.min(...mapMonitors.map(m => m.geometry.y));
+            const right = Math.max(...mapMonitors.map(m => m.geometry.x + m.geometry.width));
+            const bottom = Math.max(...mapMonitors.map(m => m.geometry.y + m.geometry.height));
+            const width = mapArea.get_width();
+            const height = mapArea.get_height();
+            const scale = Math.min((width - 2 * MAP_MARGIN) / (right - left), (height - 2 * MAP_MARGIN) / (bottom - top));
+            return {
+                scale,
+                dx: (width - (right - left) * scale) / 2 - left * scale,
+                dy: (height - (bottom - top) * scale) / 2 - top * scale
+            };
+        };
+
+        // The selected rectangle last, on top of the others.
+        const mapDrawOrder = () => mapSelected
+            ? [...mapRects.filter(rect => rect !== mapSelected), mapSelected]
+            : mapRects;
+
+        mapArea.set_draw_func((area, cr) => {
+            if (mapMonitors.length === 0) {
+                cr.$dispose();
+                return;
+            }
+
+            const { scale, dx, dy } = mapTransform();
+            const fg = area.get_color();
+            cr.selectFontFace('Sans', Cairo.FontSlant.NORMAL, Cairo.FontWeight.NORMAL);
+            cr.setFontSize(11);
+            cr.setLineWidth(1);
+
+            mapMonitors.forEach(({ id, geometry }) => {
+                const x = dx + geometry.x * scale;
+                const y = dy + geometry.y * scale;
+                cr.rectangle(x, y, geometry.width * scale, geometry.height * scale);
+                cr.setSourceRGBA(fg.red, fg.green, fg.blue, 0.06);
+                cr.fillPreserve();
+                cr.setSourceRGBA(fg.red, fg.green, fg.blue, 0.45);
+                cr.stroke();
+                cr.moveTo(x + 6, y + geometry.height * scale - 6);
+                cr.showText(id.connector);
+            });
+
+            mapDrawOrder().forEach(rect => {
+                const [r, g, b] = rect.color;
+                const x = dx + rect.x * scale;
+                const y = dy + rect.y * scale;
+                const width = rect.width * scale;
+                const height = rect.height * scale;
+                const selected = rect === mapSelected;
+
+                cr.rectangle(x, y, width, height);
+                cr.setSourceRGBA(r, g, b, selected ? 0.45 : 0.25);
+                cr.fillPreserve();
+                cr.setSourceRGBA(r, g, b, 1);
+                cr.setLineWidth(selected ? 2 : 1);
+                if (!rect.sized) cr.setDash([4, 3], 0);
+                cr.stroke();
+                cr.setDash([], 0);
+                cr.setLineWidth(1);
+
+                if (selected && rect.sized) {
+                    cr.rectangle(x + width - MAP_HANDLE, y + height - MAP_HANDLE, MAP_HANDLE, MAP_HANDLE);
+                    cr.fill();
+                }
+
+                cr.save();
+                cr.rectangle(x, y, width, height);
+                cr.clip();
+                cr.setSourceRGBA(fg.red, fg.green, fg.blue, 0.9);
+                cr.moveTo(x + 4, y + 14);
+                cr.showText(rect.slot > 0 ? `${rect.identity} (${rect.slot + 1})` : rect.identity);
+                cr.restore();
+            });
+            cr.$dispose();
+        });
+
+        // The rectangle under a point of the drawing area, topmost first, as
+        // { rect, resize }, resize being whether the point is on its corner.
+        const mapHitTest = (px, py) => {
+            const { scale, dx, dy } = mapTransform();
+            for (const rect of [...mapDrawOrder()].reverse()) {
+                const x = dx + rect.x * scale;
+                const y = dy + rect.y * scale;
+                const right = x + rect.width * scale;
+                const bottom = y + rect.height * scale;
+                if (px < x || px > right || py < y || py > bottom) continue;
+                return { rect, resize: rect.sized && px >= right - MAP_HANDLE && py >= bottom - MAP_HANDLE };
+            }
+            return null;
+        };
+
+        // Writes a dragged rectangle back into its slot. It belongs to the
+        // monitor its center ended up on (the nearest one if off every
+        // screen), and its corner is kept on that monitor, where restore
+        // looks for it. Moving to another monitor records that screen's
+        // identity and drops what only fits the old one: Mutter's monitor
+        // index, which prefs can't know and restore doesn't need given the
+        // identity, and the work area the geometry was measured against.
+        const saveMapRect = (rect) => {
+            const centerX = rect.x + rect.width / 2;
+            const centerY = rect.y + rect.height / 2;
+            const distance = ({ geometry: g }) =>
+                Math.hypot(Math.max(g.x - centerX, 0, centerX - g.x - g.width),
+                    Math.max(g.y - centerY, 0, centerY - g.y - g.height));
+            const monitor = mapMonitors.reduce((best, m) => distance(m) < distance(best) ? m : best);
+
+            const states = getSavedStates();
+            const record = states[rect.identity];
+            if (!record) return;
+            let [signature, profile] = mapProfileOf(record);
+            // Borrowed from the closest setup: this one gets its own copy, as
+            // the extension would do on its first save here.
+            if (signature && signature !== mapSignature) {
+                record.layouts[mapSignature] = JSON.parse(JSON.stringify(profile));
+                profile = record.layouts[mapSignature];
+            }
+            const state = rect.slot === 0 ? profile : profile.instances?.[rect.slot - 1];
+            if (!state) return;
+
+            // The top-left corner is kept where the extension will accept it
+            // (see its _isPointInWorkArea), so it isn't centered instead:
+            // within the work area saved with the state when the window stays
+            // on that monitor, else within the monitor, panels unknown.
+            const sameMonitor = sameMonitorId(state.monitor_id, monitor.id);
+            const area = sameMonitor && state.work_area ? state.work_area : monitor.geometry;
+            state.x = Math.min(Math.max(rect.x, area.x), area.x + area.width - 100);
+            state.y = Math.min(Math.max(rect.y, area.y), area.y + area.height - 100);
+            if (rect.sized) {
+                state.width = rect.width;
+                state.height = rect.height;
+            }
+            if (!sameMonitor) {
+                state.monitor_id = { ...monitor.id };
+                delete state.monitor;
+                delete state.work_area;
+            }
+            saveSavedStates(states);
+        };
+
+        const mapGesture = new Gtk.GestureDrag();
+        mapGesture.connect('drag-begin', (gesture, x, y) => {
+            if (mapMonitors.length === 0) return;
+            const hit = mapHitTest(x, y);
+            mapSelected = hit ? hit.rect : null;
+            mapDrag = hit ? { ...hit, start: { ...hit.rect } } : null;
+            updateMapSelectionRow();
+            mapArea.queue_draw();
+        });
+        mapGesture.connect('drag-update', (gesture, offsetX, offsetY) => {
+            if (!mapDrag) return;
+            const { scale } = mapTransform();
+            const { rect, start } = mapDrag;
+            if (mapDrag.resize) {
+                rect.width = Math.max(100, Math.round(start.width + offsetX / scale));
+                rect.height = Math.max(100, Math.round(start.height + offsetY / scale));
+            } else {
+                rect.x = Math.round(start.x + offsetX / scale);
+                rect.y = Math.round(start.y + offsetY / scale);
+            }
+            updateMapSelectionRow();
+            mapArea.queue_draw();
+        });
+        mapGesture.connect('drag-end', () => {
+            if (!mapDrag) return;
+            const { rect, start } = mapDrag;
+            mapDrag = null;
+            // A plain click only selects.
+            if (rect.x === start.x && rect.y === start.y && rect.width === start.width && rect.height === start.height) return;
+            saveMapRect(rect);
+            refreshMapRects();
+        });
+        mapArea.add_controller(mapGesture);
+
+        updateMapSelectionRow();
+        readMapMonitors();
+        let mapMonitorsSignalId = gdkMonitors.connect('items-changed', readMapMonitors);
+        let mapStatesSignalId = settings.connect('changed::window-app-states', refreshMapRects);
+
+        // -- Restore Diagnostics Section --
+        // How the latest restore of each window went, as the extension checked
+        // it once the window settled (see diagnostics.js).
+
+        const diagnosticsGroup = new Adw.PreferencesGroup({
+            title: 'Last Restores',
+            description: 'How the latest restore of each window went, to tell why a window didn’t open where it should.'
+        });
+        statesPage.add(diagnosticsGroup);
+
+        const clearDiagnosticsButton = new Gtk.Button({
+            label: 'Clear',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat']
+        });
+        clearDiagnosticsButton.connect('clicked', () => settings.set_string('restore-diagnostics', '[]'));
+        diagnosticsGroup.set_header_suffix(clearDiagnosticsButton);
+
+        const frameText = (frame) => `${frame.width}×${frame.height} at ${frame.x}, ${frame.y}`;
+
+        let diagnosticRows = [];
+
+        const refreshDiagnostics = () => {
+            diagnosticRows.forEach(row => diagnosticsGroup.remove(row));
+            diagnosticRows = [];
+
+            const entries = parseDiagnostics(settings.get_string('restore-diagnostics'));
+            entries.forEach(entry => {
+                const ok = !entry.problems || entry.problems.length === 0;
+                const time = entry.time ? GLib.DateTime.new_from_unix_local(entry.time).format('%x %H:%M') : null;
+                let detail = describeRestoreResult(entry);
+                // Where it was put and where it ended up, when the app moved it.
+                if (entry.problems?.includes('overridden') && entry.target && entry.actual)
+                    detail += ` (${frameText(entry.target)}, now ${frameText(entry.actual)})`;
+
+                const row = new Adw.ActionRow({
+                    title: GLib.markup_escape_text(entry.slot > 0
+                        ? `${entry.identity}, window ${entry.slot + 1}` : `${entry.identity}`, -1),
+                    subtitle: GLib.markup_escape_text(time ? `${time}  ·  ${detail}` : detail, -1),
+                    tooltip_text: entry.title || ''
+                });
+                row.add_prefix(new Gtk.Image({
+                    icon_name: ok ? 'emblem-ok-symbolic' : 'dialog-warning-symbolic',
+                    css_classes: [ok ? 'success' : 'warning']
+                }));
+                diagnosticsGroup.add(row);
+                diagnosticRows.push(row);
+            });
+
+            if (entries.length === 0) {
+                const emptyRow = new Adw.ActionRow({
+                    title: 'No restores yet',
+                    subtitle: 'Each managed window that opens is listed here once it has settled.'
+                });
+                diagnosticsGroup.add(emptyRow);
+                diagnosticRows.push(emptyRow);
+            }
+            clearDiagnosticsButton.sensitive = entries.length > 0;
+        };
+
+        refreshDiagnostics();
+        let diagnosticsSignalId = settings.connect('changed::restore-diagnostics', refreshDiagnostics);
+
         // Cleanup on window close
         window.connect('close-request', () => {
             if (settingsSignalId) {
@@ -1329,11 +3138,34 @@ export default class DejaWindowPreferences extends ExtensionPreferences {
                 settings.disconnect(prefsHighlightSignalId);
                 prefsHighlightSignalId = null;
             }
-            if (captureSignalId) {
-                settings.disconnect(captureSignalId);
-                captureSignalId = null;
+            if (snapshotsSignalId) {
+                settings.disconnect(snapshotsSignalId);
+                snapshotsSignalId = null;
+            }
+            if (historySignalId) {
+                settings.disconnect(historySignalId);
+                historySignalId = null;
+            }
+            savedStatesSignalIds.forEach(id => settings.disconnect(id));
+            savedStatesSignalIds = [];
+            if (diagnosticsSignalId) {
+                settings.disconnect(diagnosticsSignalId);
+                diagnosticsSignalId = null;
+            }
+            if (mapStatesSignalId) {
+                settings.disconnect(mapStatesSignalId);
+                mapStatesSignalId = null;
+            }
+            if (mapMonitorsSignalId) {
+                gdkMonitors.disconnect(mapMonitorsSignalId);
+                mapMonitorsSignalId = null;
             }
-            cancelCaptureTimeout();
+            monitorsCancellable.cancel();
+            requestChannels.forEach(channel => channel.destroy());
+            requestChannels = [];
+            snapshotRows = [];
+            stateRows = [];
+            diagnosticRows = [];
             Gtk.StyleContext.remove_provider_for_display(display, arrowFixProvider);
             rows = [];
             globalDefaultsRows = [];
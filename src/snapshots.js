@@ -0,0 +1,346 @@
+import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
+import Shell from 'gi://Shell';
+import St from 'gi://St';
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+
+// Config used to apply a snapshot entry through DejaWindowExtension._restoreState:
+// a snapshot is a complete picture of each window, so every part of it is
+// applied, whatever the window's own rule restores on open. Workspaces are
+// moved but never switched to — restoring a layout shouldn't jump the user
+// around.
+const SNAPSHOT_RESTORE_FLAGS = {
+    restore_size: true,
+    restore_pos: true,
+    restore_maximized: true,
+    restore_tiled: true,
+    restore_fullscreen: true,
+    restore_workspace: true,
+    restore_minimized: true,
+    restore_above: true,
+    restore_sticky: true,
+    switch_to_workspace: false,
+};
+
+// How long a relaunched app's window may take to show up and still be placed
+// per the snapshot rather than by its rule's saved state.
+const PENDING_PLACEMENT_TIMEOUT_US = 60 * 1000000;
+
+/**
+ * Named layout snapshots ("Coding", "Meeting", …): the geometry and state of
+ * every window Deja Window currently manages, saved under a name in the
+ * layout-snapshots key and re-applied to the open windows on demand.
+ *
+ * Unlike window-app-states, which follows each window around automatically,
+ * a snapshot only changes when it's saved again. Each entry is keyed like a
+ * saved state (identity + instance slot), so restoring pairs it with the open
+ * window holding the same slot of the same identity.
+ *
+ * Each entry also records the app (desktop file id) its window belonged to,
+ * so restoring can start apps that aren't running. Their windows are then
+ * placed by the normal path — _setupListeners → _applySavedState, which asks
+ * takePendingPlacement() for a snapshot entry before using the saved state —
+ * which makes a snapshot a lightweight session restore on Wayland, where
+ * GNOME has no session management of its own.
+ *
+ * Offered from the top bar indicator, and from Preferences through the
+ * snapshot-request key (prefs.js runs in its own process and can't read
+ * window geometry itself), following the capture-state-request protocol: the
+ * reply is the request plus a 'status' field, which prefs consumes and clears.
+ */
+export class LayoutSnapshots {
+    constructor(extension) {
+        this._extension = extension;
+        // Snapshot entries waiting for the window of a relaunched app:
+        // [{ entry, expires, after }], expires in monotonic microseconds and
+        // after the newest window's stable sequence at launch time.
+        this._pendingPlacements = [];
+    }
+
+    enable() {
+        this._extension._settings.connectObject('changed::snapshot-request',
+            () => this._handleRequest(), this);
+    }
+
+    disable() {
+        this._extension._settings?.disconnectObject(this);
+        this._pendingPlacements = [];
+    }
+
+    // Parsed layout-snapshots: [{ name, created, windows: [entry, ...] }, ...]
+    list() {
+        try {
+            const snapshots = JSON.parse(this._extension._settings.get_string('layout-snapshots'));
+            return Array.isArray(snapshots) ? snapshots : [];
+        } catch (e) {
+            console.error('[DejaWindow] Error parsing layout-snapshots:', e);
+            return [];
+        }
+    }
+
+    // Saves every managed window under `name`, replacing a snapshot that
+    // already has it. Returns the number of windows saved.
+    save(name) {
+        const windows = [];
+        for (const [window, handle] of this._extension._handles) {
+            const entry = this._describeWindow(window, handle);
+            if (entry) windows.push(entry);
+        }
+        if (windows.length === 0) return 0;
+
+        const snapshots = this.list().filter(s => s.name !== name);
+        snapshots.push({ name, created: Math.floor(GLib.get_real_time() / 1000000), windows });
+        this._extension._settings.set_string('layout-snapshots', JSON.stringify(snapshots));
+        return windows.length;
+    }
+
+    // Re-applies a snapshot: open windows it has an entry for are moved right
+    // away, and the apps of the entries left over are started, their windows
+    // being placed as they appear. Returns { restored, launched } counts, with
+    // `paused` set and nothing done while Deja Window is switched off in the
+    // indicator, or null if there's no snapshot by that name.
+    restore(name) {
+        const snapshot = this.list().find(s => s.name === name);
+        if (!snapshot) return null;
+        if (!this._extension._functionalityEnabled) return { restored: 0, launched: 0, paused: true };
+
+        const windows = [...this._extension._handles]
+            .filter(([window]) => window.get_workspace())
+            .sort(([, a], [, b]) => a.slot - b.slot);
+        const entries = snapshot.windows || [];
+
+        // Pair entries with windows: same identity and slot first, then any
+        // other window of that identity still left over.
+        const pairs = new Map();
+        const used = new Set();
+        const pair = (sameSlot) => {
+            for (const entry of entries) {
+                if (pairs.has(entry)) continue;
+                const match = windows.find(([window, handle]) => !used.has(window) &&
+                    handle.identity === entry.identity && (!sameSlot || handle.slot === entry.slot));
+                if (match) {
+                    pairs.set(entry, match);
+                    used.add(match[0]);
+                }
+            }
+        };
+        pair(true);
+        pair(false);
+
+        for (const [entry, [window, handle]] of pairs)
+            this._extension._restoreState(window, handle.identity, SNAPSHOT_RESTORE_FLAGS, entry, true);
+
+        const missing = entries.filter(entry => !pairs.has(entry));
+        return { restored: pairs.size, launched: this._launchMissing(missing) };
+    }
+
+    // Starts the app of every entry without a window, one new window per
+    // entry where the app supports that, and queues each entry for the window
+    // that eventually shows up. Returns the number of entries launched.
+    _launchMissing(entries) {
+        const appSystem = Shell.AppSystem.get_default();
+        const expires = GLib.get_monotonic_time() + PENDING_PLACEMENT_TIMEOUT_US;
+        // Windows are numbered in the order they're created: only those past
+        // the newest one now can come from these launches.
+        const after = Math.max(0, ...global.display.list_all_windows().map(w => w.get_stable_sequence()));
+        const started = new Set();
+        let launched = 0;
+
+        for (const entry of entries) {
+            const app = entry.app_id ? appSystem.lookup_app(entry.app_id) : null;
+            if (!app) continue;
+
+            // An app that can't open extra windows gets a single activation.
+            if (app.can_open_new_window()) {
+                app.open_new_window(-1);
+            } else if (!started.has(entry.app_id)) {
+                app.activate();
+            } else {
+                continue;
+            }
+            started.add(entry.app_id);
+
+            this._pendingPlacements.push({ entry, expires, after });
+            launched++;
+        }
+        return launched;
+    }
+
+    // Hands out (and forgets) the snapshot entry waiting for a newly opened
+    // window, if any: one of the same identity, launched before the window
+    // was created, for the app the window belongs to. Windows of that
+    // identity that were already open, or of another app, leave it waiting.
+    // Nothing is placed while Deja Window is switched off in the indicator.
+    takePendingPlacement(window, identity) {
+        if (!this._extension._functionalityEnabled) return null;
+
+        const now = GLib.get_monotonic_time();
+        this._pendingPlacements = this._pendingPlacements.filter(p => p.expires > now);
+
+        const sequence = window.get_stable_sequence();
+        const appId = Shell.WindowTracker.get_default().get_window_app(window)?.get_id();
+        const index = this._pendingPlacements.findIndex(({ entry, after }) =>
+            entry.identity === identity && sequence > after && (!appId || appId === entry.app_id));
+        if (index === -1) return null;
+
+        return this._pendingPlacements.splice(index, 1)[0].entry;
+    }
+
+    // Applies a pending snapshot entry to a window, see takePendingPlacement.
+    applyPendingPlacement(window, identity, entry) {
+        this._extension._restoreState(window, identity, SNAPSHOT_RESTORE_FLAGS, entry, true);
+    }
+
+    // One snapshot entry: the window's complete current state, whatever its
+    // rule tracks. A maximized, tiled or fullscreen window's frame is (part
+    // of) the screen, so its normal geometry is taken from its saved state instead, when
+    // there is one.
+    _describeWindow(window, handle) {
+        const workspace = window.get_workspace();
+        if (!workspace) return null;
+
+        const extension = this._extension;
+        const monitorIndex = window.get_monitor();
+        const isMaximized = window.maximized_horizontally && window.maximized_vertically;
+        const tile = extension._tileMode(window);
+
+        const entry = {
+            identity: handle.identity,
+            slot: handle.slot,
+            wm_class: window.get_wm_class(),
+            title: window.get_title(),
+            monitor: monitorIndex,
+            maximized: isMaximized,
+            tile,
+            fullscreen: window.fullscreen,
+            workspace: workspace.index(),
+            minimized: window.minimized,
+            above: window.above,
+            sticky: window.on_all_workspaces,
+        };
+
+        // The desktop file id of the app owning the window, for relaunching
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        if (app && app.get_id()) entry.app_id = app.get_id();
+
+        const monitorId = extension._monitors.identify(monitorIndex);
+        if (monitorId) entry.monitor_id = monitorId;
+
+        const geometry = isMaximized || tile || window.fullscreen ? extension._readSavedState(handle.identity, handle.slot) : window.get_frame_rect();
+        if (geometry && geometry.width > 50 && geometry.height > 50) {
+            entry.x = geometry.x;
+            entry.y = geometry.y;
+            entry.width = geometry.width;
+            entry.height = geometry.height;
+        }
+        return entry;
+    }
+
+    // Handles a request written to snapshot-request by prefs.js:
+    // { action: 'save' | 'restore', name }.
+    _handleRequest() {
+        const settings = this._extension._settings;
+        if (!settings) return;
+
+        const raw = settings.get_string('snapshot-request');
+        if (!raw) return;
+
+        let request = null;
+        try {
+            request = JSON.parse(raw);
+        } catch (e) {
+            request = null;
+        }
+        if (!request || request.status || !request.name) return;
+
+        const reply = (status, count = 0, launched = 0) => {
+            settings.set_string('snapshot-request',
+                JSON.stringify({ status, action: request.action, name: request.name, count, launched }));
+        };
+
+        if (request.action === 'save') {
+            const count = this.save(request.name);
+            reply(count > 0 ? 'saved' : 'no-windows', count);
+        } else if (request.action === 'restore') {
+            const result = this.restore(request.name);
+            if (result?.paused) reply('paused');
+            else if (result) reply('restored', result.restored, result.launched);
+            else reply('no-snapshot');
+        }
+    }
+
+    // Adds a "Layouts" submenu to the top bar indicator's menu: one item per
+    // snapshot to restore it, plus saving the current layout under a new name.
+    // Rebuilt whenever layout-snapshots changes; the connection is tied to
+    // `owner` (the indicator), so it goes away with it.
+    addIndicatorItems(menu, owner) {
+        const submenu = new PopupMenu.PopupSubMenuMenuItem('Layouts');
+        menu.addMenuItem(submenu);
+
+        const rebuild = () => {
+            submenu.menu.removeAll();
+
+            const snapshots = this.list();
+            snapshots.forEach(snapshot => {
+                const item = new PopupMenu.PopupMenuItem(snapshot.name);
+                item.connect('activate', () => this._restoreWithFeedback(snapshot.name));
+                submenu.menu.addMenuItem(item);
+            });
+            if (snapshots.length > 0)
+                submenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+
+            const saveItem = new PopupMenu.PopupMenuItem('Save Current Layout…');
+            saveItem.connect('activate', () => this._openSaveDialog());
+            submenu.menu.addMenuItem(saveItem);
+        };
+
+        this._extension._settings.connectObject('changed::layout-snapshots', rebuild, owner);
+        rebuild();
+    }
+
+    _restoreWithFeedback(name) {
+        const result = this.restore(name);
+        if (result?.paused)
+            Main.notify('Deja Window', 'Deja Window is switched off, so the layout wasn’t restored.');
+        else if (result && result.restored === 0 && result.launched === 0)
+            Main.notify('Deja Window', `No open window or installed app belongs to the layout “${name}”.`);
+    }
+
+    // Asks for the snapshot's name in a shell modal dialog, since the
+    // indicator's menu has nowhere to type one.
+    _openSaveDialog() {
+        const dialog = new ModalDialog.ModalDialog();
+        dialog.contentLayout.add_child(new Dialog.MessageDialogContent({
+            title: 'Save Current Layout',
+            description: 'Saves the position and state of every managed window. Saving under an existing name replaces that layout.',
+        }));
+
+        const entry = new St.Entry({
+            style_class: 'prompt-dialog-password-entry',
+            hint_text: 'Layout name',
+            can_focus: true,
+            x_expand: true,
+        });
+        dialog.contentLayout.add_child(entry);
+        dialog.setInitialKeyFocus(entry);
+
+        const save = () => {
+            const name = entry.get_text().trim();
+            if (!name) return;
+
+            dialog.close();
+            if (this.save(name) === 0)
+                Main.notify('Deja Window', 'There are no managed windows to save in a layout.');
+        };
+
+        entry.clutter_text.connect('activate', save);
+        dialog.setButtons([
+            { label: 'Cancel', action: () => dialog.close(), key: Clutter.KEY_Escape },
+            { label: 'Save', action: save, default: true },
+        ]);
+        dialog.open();
+    }
+}
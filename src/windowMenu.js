@@ -1,8 +1,13 @@
+import Clutter from 'gi://Clutter';
 import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
 import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as WindowMenu from 'resource:///org/gnome/shell/ui/windowMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import { configMatches, windowFacts } from './matching.js';
+import { describeRestoreResult } from './diagnostics.js';
+import { patternTypeOf } from './patterns.js';
 
 // Default restore_* flags applied to a rule created from the window menu: the
 // user flipped "Manage this window" meaning "manage everything about this
@@ -15,6 +20,8 @@ const NEW_RULE_DEFAULTS = {
     restore_size: true,
     restore_pos: true,
     restore_maximized: true,
+    restore_tiled: true,
+    restore_fullscreen: true,
     restore_workspace: true,
     switch_to_workspace: true,
     restore_minimized: true,
@@ -25,16 +32,30 @@ const NEW_RULE_DEFAULTS = {
 // The per-rule restore_* switches, in menu order. Labels are deliberately much
 // shorter than their prefs counterparts ("On All Workspaces" vs "Restore Always
 // on Visible Workspace"): the window menu is narrow and every label widens it.
-// 'dependsOn' greys a switch out while the flag it refines is off.
+// 'dependsOn' greys a switch out while the flag it refines is off. A toggle
+// with 'modes' is an on/off window state whose flag takes one of STATE_MODES
+// (see restoredValue in extension.js) rather than a boolean, shown as an item
+// that steps through them instead of a switch.
+const STATE_MODES = [
+    { value: true, label: 'Remember' },
+    { value: 'on', label: 'Always' },
+    { value: 'off', label: 'Never' },
+    { value: false, label: 'Ignore' },
+];
+
 const RESTORE_TOGGLES = [
     { key: 'restore_size', label: 'Size' },
     { key: 'restore_pos', label: 'Position' },
-    { key: 'restore_maximized', label: 'Maximized' },
+    { key: 'restore_on_reconnect', label: 'Return to Monitor', dependsOn: 'restore_pos' },
+    { key: 'restore_maximized', label: 'Maximized', modes: STATE_MODES },
+    { key: 'restore_tiled', label: 'Tiled' },
+    { key: 'restore_fullscreen', label: 'Fullscreen', modes: STATE_MODES },
     { key: 'restore_workspace', label: 'Workspace' },
     { key: 'switch_to_workspace', label: 'Switch to Workspace', dependsOn: 'restore_workspace' },
-    { key: 'restore_minimized', label: 'Minimized' },
-    { key: 'restore_above', label: 'Always on Top' },
-    { key: 'restore_sticky', label: 'On All Workspaces' },
+    { key: 'restore_minimized', label: 'Minimized', modes: STATE_MODES },
+    { key: 'restore_above', label: 'Always on Top', modes: STATE_MODES },
+    { key: 'restore_sticky', label: 'On All Workspaces', modes: STATE_MODES },
+    { key: 'restore_on_rebind', label: 'On Rule Change' },
 ];
 
 // Identity patterns (especially titles) can be arbitrarily long; the header
@@ -48,6 +69,31 @@ const HEIGHT_LIMIT_MARGIN = 24;
 // tighter limit would clip GNOME's own items with no way to scroll to them.
 const MIN_HEIGHT_LIMIT = 200;
 
+// The ways the menu can key a rule or a Global Defaults exclusion on a window,
+// in the order "Match By" steps through them: the match_mode, the
+// _applyState target for a rule and for an exclusion by it, and how the
+// menu names it.
+const MATCH_MODES = [
+    { mode: 'wm_class', rule: 'class', excluded: 'excluded-class', label: 'WM_CLASS', noun: 'class' },
+    { mode: 'title', rule: 'name', excluded: 'excluded-title', label: 'Title', noun: 'title' },
+    { mode: 'app_id', rule: 'app', excluded: 'excluded-app', label: 'App ID', noun: 'app ID' },
+];
+
+// How the header names a rule whose pattern isn't a literal (see patterns.js).
+const PATTERN_NOUNS = { contains: 'substring', glob: 'glob', regex: 'regex' };
+
+function matchModeOf(mode) {
+    return MATCH_MODES.find(m => m.mode === (mode || 'wm_class'));
+}
+
+// The exact pattern a rule of the given mode would have for this window: its
+// class, its title, or its first (most telling) app id.
+function patternFor(facts, mode) {
+    if (mode === 'title') return facts.title;
+    if (mode === 'app_id') return facts.app_ids[0] || null;
+    return facts.wm_class;
+}
+
 function ellipsize(text) {
     if (!text) return '';
     return text.length > MAX_HEADER_PATTERN
@@ -63,7 +109,8 @@ function ellipsize(text) {
  *
  * The submenu is a full rule editor, not just a mode picker: the whole rule
  * (match mode, every restore_* flag, the lock) is editable in place so the
- * common case never needs Preferences. Only regex rules and the rest of the
+ * common case never needs Preferences. Only pattern rules (regex, glob or
+ * substring, which can match many windows) and the rest of the
  * prefs surface still require opening Settings.
  */
 export class DejaWindowMenu {
@@ -90,27 +137,17 @@ export class DejaWindowMenu {
         this._originalBuildMenu = null;
     }
 
-    // Same matching rule as DejaWindowExtension._getConfigForWindow: a config
-    // matches by wm_class or title (literal or regex) depending on match_mode,
-    // and a disabled rule never matches (same effect as if it were deleted).
-    _configMatches(config, wmClass, title) {
+    // Same matching rule as DejaWindowExtension._getConfigForWindow (both use
+    // matching.js), and a disabled rule never matches (same effect as if it
+    // were deleted).
+    _configMatches(config, facts) {
         if (config.enabled === false) return false;
-
-        const mode = config.match_mode || 'wm_class';
-        const value = mode === 'title' ? title : wmClass;
-        if (!value) return false;
-
-        if (config.is_regex) {
-            try {
-                return new RegExp(config.wm_class).test(value);
-            } catch (e) {
-                return false;
-            }
-        }
-        return config.wm_class === value;
+        return configMatches(config, facts);
     }
 
-    _readState(wmClass, title) {
+    // `facts` are the window's, from windowFacts(), read once when the menu
+    // is built.
+    _readState(facts) {
         const settings = this._extension._settings;
 
         let configs = [];
@@ -127,57 +164,65 @@ export class DejaWindowMenu {
             globalDefaults = {};
         }
 
-        // The rule (enabled or not) that "activate" acts on: literal identity
-        // match on (pattern, mode), ignoring enabled/is_regex. Reusing this
-        // slot on re-activation is what lets a disabled rule keep its
-        // customization instead of a fresh blank one being created.
-        const slotClass = wmClass
-            ? configs.find(c => (c.match_mode || 'wm_class') === 'wm_class' && c.wm_class === wmClass)
-            : null;
-        const slotTitle = title
-            ? configs.find(c => c.match_mode === 'title' && c.wm_class === title)
-            : null;
-
-        // The rule actually governing this window right now, if any: an
-        // enabled config matching by literal value or regex (same priority as
-        // DejaWindowExtension._getEffectiveConfig's explicit-config lookup).
-        const activeConfig = configs.find(c => this._configMatches(c, wmClass, title));
-
-        // The window menu only manages exact (non-regex) exclusion rules by
-        // wm_class or title; regex exclusion rules are editable from
+        // Per match mode, the rule (enabled or not) that "activate" acts on:
+        // literal identity match on (pattern, mode), ignoring enabled/pattern_type,
+        // and never a rule narrowed by conditions, which the menu doesn't make.
+        // Reusing this slot on re-activation is what lets a disabled rule keep
+        // its customization instead of a fresh blank one being created.
+        const slots = {};
+        for (const { mode } of MATCH_MODES) {
+            const pattern = patternFor(facts, mode);
+            slots[mode] = pattern
+                ? configs.find(c => (c.match_mode || 'wm_class') === mode && c.wm_class === pattern && !c.conditions?.length)
+                : null;
+        }
+
+        // Every enabled rule matching the window, in priority order (same as
+        // DejaWindowExtension._getEffectiveConfig's explicit-config lookup):
+        // the first one governs the window, and the header says when it wins
+        // over others.
+        const matchingConfigs = configs.filter(c => this._configMatches(c, facts));
+        const activeConfig = matchingConfigs[0];
+
+        // The window menu only manages exact exclusion rules by wm_class, title
+        // or app id; regex, glob and substring exclusions are editable from
         // Preferences only.
         const excludedList = globalDefaults.excluded_apps || [];
-        const excludedClassIdx = wmClass
-            ? excludedList.findIndex(r => r.wm_class === wmClass && (r.match_mode || 'wm_class') === 'wm_class' && !r.is_regex)
-            : -1;
-        const excludedTitleIdx = title
-            ? excludedList.findIndex(r => r.wm_class === title && r.match_mode === 'title' && !r.is_regex)
-            : -1;
-
-        let state;
+        const excludedIdx = {};
+        for (const { mode } of MATCH_MODES) {
+            const pattern = patternFor(facts, mode);
+            excludedIdx[mode] = pattern
+                ? excludedList.findIndex(r => r.wm_class === pattern && (r.match_mode || 'wm_class') === mode && patternTypeOf(r) === 'exact')
+                : -1;
+        }
+
+        let state = 'unmanaged';
         if (activeConfig) {
-            state = activeConfig.match_mode === 'title' ? 'name' : 'class';
-        } else if (excludedClassIdx !== -1) {
-            state = 'excluded-class';
-        } else if (excludedTitleIdx !== -1) {
-            state = 'excluded-title';
+            state = matchModeOf(activeConfig.match_mode).rule;
         } else {
-            state = 'unmanaged';
+            const excludedMode = MATCH_MODES.find(({ mode }) => excludedIdx[mode] !== -1);
+            if (excludedMode) state = excludedMode.excluded;
         }
 
-        return { configs, globalDefaults, activeConfig, slotClass, slotTitle, excludedList, excludedClassIdx, excludedTitleIdx, state };
+        return { configs, globalDefaults, activeConfig, matchCount: matchingConfigs.length, slots, excludedList, excludedIdx, state };
     }
 
     // One line describing what governs this window right now, so the switches
     // below have a subject: which pattern is matched, and by what.
     _headerText(status) {
-        const { state, activeConfig, pattern, globalDefaults } = status;
-
-        if (state === 'class' || state === 'name') {
-            if (activeConfig.is_regex) return `${ellipsize(activeConfig.wm_class)} — regex rule`;
-            return `${ellipsize(pattern)} — matched by ${state === 'name' ? 'title' : 'class'}`;
+        const { managed, excluded, matchMode, activeConfig, matchCount, pattern, globalDefaults } = status;
+
+        if (managed) {
+            // Several rules match: name the one that applies (the header already
+            // shows its pattern) and say it won by priority.
+            const others = matchCount - 1;
+            const wins = others > 0 ? `, wins over ${others} other rule${others > 1 ? 's' : ''}` : '';
+            const patternType = patternTypeOf(activeConfig);
+            if (patternType !== 'exact')
+                return `${ellipsize(activeConfig.wm_class)} — ${PATTERN_NOUNS[patternType]} rule${wins}`;
+            return `${ellipsize(pattern)} — matched by ${matchMode.noun}${wins}`;
         }
-        if (state === 'excluded-class' || state === 'excluded-title') {
+        if (excluded) {
             return `${ellipsize(pattern)} — excluded`;
         }
         // Nothing explicit: Global Defaults may still be managing this window,
@@ -186,28 +231,30 @@ export class DejaWindowMenu {
     }
 
     // Flattens _readState into what the switches actually need.
-    _status(wmClass, title) {
-        const st = this._readState(wmClass, title);
-        const managed = st.state === 'class' || st.state === 'name';
-        const excluded = st.state === 'excluded-class' || st.state === 'excluded-title';
-        const modeIsTitle = st.state === 'name' || st.state === 'excluded-title';
+    _status(facts) {
+        const st = this._readState(facts);
+        const managed = MATCH_MODES.some(m => m.rule === st.state);
+        const excluded = MATCH_MODES.some(m => m.excluded === st.state);
+        // The mode the window's rule or exclusion matches by (WM_CLASS when
+        // there's neither).
+        const matchMode = MATCH_MODES.find(m => m.rule === st.state || m.excluded === st.state) || MATCH_MODES[0];
 
         return {
             ...st,
             managed,
             excluded,
-            modeIsTitle,
-            // A regex rule can match many windows; the menu must not silently
-            // rewrite or retire it on this window's behalf.
-            isRegex: managed && !!st.activeConfig.is_regex,
+            matchMode,
+            // A regex, glob or substring rule can match many windows; the menu
+            // must not silently rewrite or retire it on this window's behalf.
+            isPattern: managed && patternTypeOf(st.activeConfig) !== 'exact',
             config: st.activeConfig || {},
-            pattern: modeIsTitle ? title : wmClass,
+            pattern: patternFor(facts, matchMode.mode),
         };
     }
 
     _appendSubmenu(menu, window) {
-        const wmClass = window.get_wm_class();
-        const title = window.get_title();
+        const facts = windowFacts(window);
+        const { wm_class: wmClass, title } = facts;
         if (!wmClass && !title) return;
 
         menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
@@ -232,7 +279,7 @@ export class DejaWindowMenu {
         const sync = () => {
             syncing = true;
             try {
-                this._syncItems(items, wmClass, title);
+                this._syncItems(items, facts);
             } finally {
                 syncing = false;
             }
@@ -260,15 +307,45 @@ export class DejaWindowMenu {
             return item;
         };
 
+        // An item stepping through a list of values on each click, showing the
+        // current one on its right, for flags with more than two values.
+        const addCycle = (label, onCycled) => {
+            const item = new PopupMenu.PopupMenuItem(label);
+            item.add_child(new St.Bin({
+                style_class: 'popup-menu-item-expander',
+                x_expand: true,
+            }));
+            item.valueLabel = new St.Label({ y_align: Clutter.ActorAlign.CENTER });
+            item.add_child(item.valueLabel);
+            // Same reason as the switches: stepping must not dismiss the menu.
+            item.activate = () => {
+                onCycled();
+                sync();
+            };
+            submenu.menu.addMenuItem(item);
+            return item;
+        };
+
         items.header = new PopupMenu.PopupMenuItem('', {
             reactive: false,
             can_focus: false,
         });
         submenu.menu.addMenuItem(items.header);
 
+        // How this window's last restore went, under the header. Fixed for
+        // the life of the menu: edits here only apply on the next restore.
+        const restoreResult = this._extension.restoreResultFor(window);
+        if (restoreResult) {
+            submenu.menu.addMenuItem(new PopupMenu.PopupMenuItem(
+                `Last restore: ${describeRestoreResult(restoreResult)}`, {
+                    reactive: false,
+                    can_focus: false,
+                }));
+        }
+
         items.manage = addSwitch('Manage this Window', active => {
             if (!active) {
-                this._applyState(window, wmClass, title, 'unmanaged');
+                this._applyState(window, facts, 'unmanaged');
                 return;
             }
 
@@ -277,31 +354,32 @@ export class DejaWindowMenu {
             // so its customization survives an off/on round trip. Otherwise
             // rules are keyed by class, falling back to the title only when the
             // window has no class to match on.
-            const { slotClass, slotTitle } = this._status(wmClass, title);
+            const { slots } = this._status(facts);
+            const existing = MATCH_MODES.find(({ mode }) => slots[mode]);
             let target;
-            if (slotClass) target = 'class';
-            else if (slotTitle) target = 'name';
+            if (existing) target = existing.rule;
             else target = wmClass ? 'class' : 'name';
 
-            this._applyState(window, wmClass, title, target);
+            this._applyState(window, facts, target);
         });
 
-        items.mode = addSwitch('Match by Window Title', active => {
-            const st = this._status(wmClass, title);
-            if (st.managed) {
-                this._applyState(window, wmClass, title, active ? 'name' : 'class');
-            } else if (st.excluded) {
-                this._applyState(window, wmClass, title, active ? 'excluded-title' : 'excluded-class');
-            }
+        // Steps through the match modes this window has a pattern for.
+        items.mode = addCycle('Match By', () => {
+            const st = this._status(facts);
+            if (!st.managed && !st.excluded) return;
+
+            const available = MATCH_MODES.filter(({ mode }) => patternFor(facts, mode));
+            const next = available[(available.indexOf(st.matchMode) + 1) % available.length];
+            this._applyState(window, facts, st.managed ? next.rule : next.excluded);
         });
 
         items.exclude = addSwitch('Exclude from Global Defaults', active => {
             if (active) {
-                const { modeIsTitle } = this._status(wmClass, title);
-                const byTitle = wmClass ? modeIsTitle : true;
-                this._applyState(window, wmClass, title, byTitle ? 'excluded-title' : 'excluded-class');
+                const { matchMode } = this._status(facts);
+                const byMode = patternFor(facts, matchMode.mode) ? matchMode : MATCH_MODES[1];
+                this._applyState(window, facts, byMode.excluded);
             } else {
-                this._applyState(window, wmClass, title, 'unmanaged');
+                this._applyState(window, facts, 'unmanaged');
             }
         });
 
@@ -328,27 +406,36 @@ export class DejaWindowMenu {
         submenu.menu.addMenuItem(items.restore);
 
         for (const toggle of RESTORE_TOGGLES) {
+            if (toggle.modes) {
+                items[toggle.key] = addCycle(toggle.label, () => {
+                    this._updateActiveConfig(facts, config => {
+                        const index = toggle.modes.findIndex(m => m.value === (config[toggle.key] ?? false));
+                        config[toggle.key] = toggle.modes[(index + 1) % toggle.modes.length].value;
+                    });
+                });
+                continue;
+            }
             items[toggle.key] = addSwitch(toggle.label, active => {
-                this._updateActiveConfig(wmClass, title, config => {
+                this._updateActiveConfig(facts, config => {
                     config[toggle.key] = active;
                 });
             });
         }
 
         items.lock = addSwitch('Lock (don’t record changes)', active => {
-            this._updateActiveConfig(wmClass, title, config => {
+            this._updateActiveConfig(facts, config => {
                 config.locked = active;
             });
         });
 
         items.capture = new PopupMenu.PopupMenuItem('Save Current State Now');
-        items.capture.connect('activate', () => this._captureState(window, wmClass, title));
+        items.capture.connect('activate', () => this._captureState(window, facts));
         submenu.menu.addMenuItem(items.capture);
 
         submenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
 
         const moreItem = new PopupMenu.PopupMenuItem('More Options…');
-        moreItem.connect('activate', () => this._openCustomize(wmClass, title));
+        moreItem.connect('activate', () => this._openCustomize(facts));
         submenu.menu.addMenuItem(moreItem);
 
         // Cap the window menu's height only while our submenu is expanded, so a
@@ -422,19 +509,20 @@ export class DejaWindowMenu {
     // Repaints every item from the current settings state. Called for the
     // initial build and after each edit, so there's exactly one description of
     // what the submenu should look like for a given state.
-    _syncItems(items, wmClass, title) {
-        const st = this._status(wmClass, title);
-        const { managed, excluded, modeIsTitle, isRegex, config } = st;
+    _syncItems(items, facts) {
+        const st = this._status(facts);
+        const { managed, excluded, matchMode, isPattern, config } = st;
 
         items.header.label.text = this._headerText(st);
 
         items.manage.setToggleState(managed);
-        items.manage.setSensitive(!isRegex);
+        items.manage.setSensitive(!isPattern);
 
-        items.mode.setToggleState(modeIsTitle);
+        items.mode.valueLabel.text = matchMode.label;
         // Only meaningful when there's something to re-target, and only
-        // possible when both identities exist to switch between.
-        items.mode.setSensitive(!isRegex && !!wmClass && !!title && (managed || excluded));
+        // possible when another identity exists to switch to.
+        const available = MATCH_MODES.filter(({ mode }) => patternFor(facts, mode));
+        items.mode.setSensitive(!isPattern && available.length > 1 && (managed || excluded));
 
         // Excluding is about the Global Defaults fallback, which an explicit
         // rule already overrides — so it's irrelevant while managed.
@@ -456,7 +544,10 @@ export class DejaWindowMenu {
         for (const toggle of RESTORE_TOGGLES) {
             const item = items[toggle.key];
             item.visible = managed && items.restoreOpen;
-            item.setToggleState(!!config[toggle.key]);
+            if (toggle.modes)
+                item.valueLabel.text = (toggle.modes.find(m => m.value === (config[toggle.key] ?? false)) || toggle.modes[0]).label;
+            else
+                item.setToggleState(!!config[toggle.key]);
             item.setSensitive(!toggle.dependsOn || !!config[toggle.dependsOn]);
         }
 
@@ -471,13 +562,14 @@ export class DejaWindowMenu {
     // Opens Preferences, with the window's current rule pre-expanded when it
     // has one. Since prefs.js runs in a separate process, the target rule is
     // handed over via a one-shot GSettings key rather than any direct call.
-    _openCustomize(wmClass, title) {
+    _openCustomize(facts) {
         const settings = this._extension._settings;
         if (!settings) return;
 
-        const { activeConfig } = this._readState(wmClass, title);
+        const { activeConfig } = this._readState(facts);
         settings.set_string('prefs-highlight-target', activeConfig
             ? JSON.stringify({
+                id: activeConfig.id,
                 wm_class: activeConfig.wm_class,
                 match_mode: activeConfig.match_mode || 'wm_class',
             })
@@ -488,11 +580,11 @@ export class DejaWindowMenu {
     // Snapshots this window's geometry into the rule's saved state. Unlike the
     // prefs button, no GSettings round-trip is needed: the menu runs inside the
     // extension process and already holds the Meta.Window.
-    _captureState(window, wmClass, title) {
-        const { activeConfig } = this._readState(wmClass, title);
+    _captureState(window, facts) {
+        const { activeConfig } = this._readState(facts);
         if (!activeConfig) return;
 
-        const saved = this._extension.captureWindowState(window, activeConfig.wm_class);
+        const saved = this._extension.captureWindowState(window, activeConfig);
         this._showOsd(saved ? 'document-save-symbolic' : 'dialog-error-symbolic',
             saved ? 'Window state saved' : 'Could not save window state');
     }
@@ -518,11 +610,11 @@ export class DejaWindowMenu {
     // Applies a mutation to the rule currently governing this window and
     // persists it. No-op when nothing explicit governs it (the restore/lock
     // switches are hidden in that case).
-    _updateActiveConfig(wmClass, title, mutate) {
+    _updateActiveConfig(facts, mutate) {
         const settings = this._extension._settings;
         if (!settings) return;
 
-        const { configs, activeConfig } = this._readState(wmClass, title);
+        const { configs, activeConfig } = this._readState(facts);
         if (!activeConfig) return;
 
         // activeConfig is a reference into configs, so mutating it in place is
@@ -532,12 +624,12 @@ export class DejaWindowMenu {
         this._extension._updateConfigs();
     }
 
-    // Removes the (menu-managed) exclusion rules at the given indexes from
-    // excludedList, highest index first so splices don't shift each other.
-    // Returns true if anything was removed.
-    _removeExclusions(excludedList, classIdx, titleIdx) {
+    // Removes the (menu-managed) exclusion rules at the given indexes (one per
+    // match mode, -1 for none) from excludedList, highest index first so
+    // splices don't shift each other. Returns true if anything was removed.
+    _removeExclusions(excludedList, excludedIdx) {
         let removed = false;
-        for (const idx of [classIdx, titleIdx].sort((a, b) => b - a)) {
+        for (const idx of Object.values(excludedIdx).sort((a, b) => b - a)) {
             if (idx !== -1) {
                 excludedList.splice(idx, 1);
                 removed = true;
@@ -546,12 +638,12 @@ export class DejaWindowMenu {
         return removed;
     }
 
-    _applyState(window, wmClass, title, targetState) {
+    _applyState(window, facts, targetState) {
         const settings = this._extension._settings;
         if (!settings) return;
 
-        const { configs, globalDefaults, activeConfig, slotClass, slotTitle, excludedList, excludedClassIdx, excludedTitleIdx, state } =
-            this._readState(wmClass, title);
+        const { configs, globalDefaults, activeConfig, slots, excludedList, excludedIdx, state } =
+            this._readState(facts);
 
         // Nothing to do when the window is already in the requested state.
         if (state === targetState) return;
@@ -570,22 +662,26 @@ export class DejaWindowMenu {
             }
         };
 
-        if (targetState === 'class' || targetState === 'name') {
-            const pattern = targetState === 'class' ? wmClass : title;
+        const ruleMode = MATCH_MODES.find(m => m.rule === targetState);
+        const excludedMode = MATCH_MODES.find(m => m.excluded === targetState);
+
+        if (ruleMode) {
+            const pattern = patternFor(facts, ruleMode.mode);
             if (!pattern) return;
 
-            let slot = targetState === 'class' ? slotClass : slotTitle;
+            let slot = slots[ruleMode.mode];
             if (slot) {
                 // Re-enable the existing (possibly hand-customized) rule for
-                // this exact wm_class/title instead of creating a duplicate.
+                // this exact wm_class/title/app id instead of creating a duplicate.
                 if (slot.enabled === false) {
                     slot.enabled = true;
                     configsChanged = true;
                 }
             } else {
                 slot = {
+                    id: GLib.uuid_string_random(),
                     wm_class: pattern,
-                    match_mode: targetState === 'class' ? 'wm_class' : 'title',
+                    match_mode: ruleMode.mode,
                     ...NEW_RULE_DEFAULTS,
                 };
                 configs.push(slot);
@@ -594,29 +690,29 @@ export class DejaWindowMenu {
 
             retireActiveConfig(slot);
 
-            if (this._removeExclusions(excludedList, excludedClassIdx, excludedTitleIdx)) {
+            if (this._removeExclusions(excludedList, excludedIdx)) {
                 globalDefaults.excluded_apps = excludedList;
                 defaultsChanged = true;
             }
         } else if (targetState === 'unmanaged') {
             retireActiveConfig(null);
 
-            if (this._removeExclusions(excludedList, excludedClassIdx, excludedTitleIdx)) {
+            if (this._removeExclusions(excludedList, excludedIdx)) {
                 globalDefaults.excluded_apps = excludedList;
                 defaultsChanged = true;
             }
-        } else if (targetState === 'excluded-class' || targetState === 'excluded-title') {
-            const pattern = targetState === 'excluded-class' ? wmClass : title;
+        } else if (excludedMode) {
+            const pattern = patternFor(facts, excludedMode.mode);
             if (!pattern) return;
 
             retireActiveConfig(null);
 
-            // Excluding by class and by title are mutually exclusive for the
-            // same window: drop the other one before adding the new rule.
-            this._removeExclusions(excludedList, excludedClassIdx, excludedTitleIdx);
+            // Excluding by class, by title and by app id are mutually exclusive
+            // for the same window: drop the others before adding the new rule.
+            this._removeExclusions(excludedList, excludedIdx);
             excludedList.push({
                 wm_class: pattern,
-                match_mode: targetState === 'excluded-class' ? 'wm_class' : 'title',
+                match_mode: excludedMode.mode,
                 is_regex: false,
             });
             globalDefaults.excluded_apps = excludedList;
@@ -0,0 +1,161 @@
+import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { windowFacts } from './matching.js';
+
+// How long pick mode waits for a click before giving up on its own, so a
+// forgotten pick never leaves the shell grabbed.
+const PICK_TIMEOUT_S = 30;
+
+/**
+ * "Pick a window" for the rule forms in Preferences: puts the shell in a
+ * crosshair mode where the next click on a window reports that window
+ * (class, title, app id, type) instead of reaching it, and Escape cancels.
+ *
+ * Asked for through the pick-window-request key, following the
+ * capture-state-request protocol, except that a pick gets two replies: a
+ * 'picking' one right away — prefs gives up on requests left unanswered for a
+ * couple of seconds, far less than a user takes to click — and the outcome
+ * ('picked' or 'cancelled') once the user is done. Each is consumed and
+ * cleared by prefs like any other reply.
+ */
+export class WindowPicker {
+    constructor(extension) {
+        this._extension = extension;
+        this._actor = null;
+        this._grab = null;
+        this._timeoutId = 0;
+        this._onDone = null;
+    }
+
+    enable() {
+        this._extension._settings.connectObject('changed::pick-window-request',
+            () => this._handleRequest(), this);
+    }
+
+    disable() {
+        this._finish(null);
+        this._extension._settings?.disconnectObject(this);
+    }
+
+    // Enters pick mode; onDone(window) is called with the clicked window, or
+    // with null when cancelled. Returns false if the shell couldn't be grabbed
+    // (another modal is up) or a pick is already running.
+    pick(onDone) {
+        if (this._actor) return false;
+
+        // An invisible, reactive actor over the whole stage, holding the grab:
+        // clicks land on it instead of on the windows below. No action mode:
+        // shell keybindings stay off while picking, Escape aside.
+        this._actor = new Clutter.Actor({
+            reactive: true,
+            width: global.stage.width,
+            height: global.stage.height,
+        });
+        Main.uiGroup.add_child(this._actor);
+
+        this._grab = Main.pushModal(this._actor, { actionMode: Shell.ActionMode.NONE });
+        if (this._grab.get_seat_state() === Clutter.GrabState.NONE) {
+            Main.popModal(this._grab);
+            this._grab = null;
+            this._actor.destroy();
+            this._actor = null;
+            return false;
+        }
+
+        // Key events only reach the actor holding the key focus.
+        global.stage.set_key_focus(this._actor);
+
+        this._onDone = onDone;
+        this._actor.connect('button-press-event', (actor, event) => {
+            const [x, y] = event.get_coords();
+            this._finish(this._windowAt(x, y));
+            return Clutter.EVENT_STOP;
+        });
+        this._actor.connect('key-press-event', (actor, event) => {
+            if (event.get_key_symbol() === Clutter.KEY_Escape) this._finish(null);
+            return Clutter.EVENT_STOP;
+        });
+
+        if (Meta.Cursor.CROSSHAIR !== undefined) global.display.set_cursor(Meta.Cursor.CROSSHAIR);
+
+        this._timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, PICK_TIMEOUT_S, () => {
+            this._timeoutId = 0;
+            this._finish(null);
+            return GLib.SOURCE_REMOVE;
+        });
+        return true;
+    }
+
+    // Leaves pick mode, if in it, and reports the outcome.
+    _finish(window) {
+        if (!this._actor) return;
+
+        if (this._timeoutId) {
+            GLib.source_remove(this._timeoutId);
+            this._timeoutId = 0;
+        }
+        if (this._grab) {
+            Main.popModal(this._grab);
+            this._grab = null;
+        }
+        if (Meta.Cursor.CROSSHAIR !== undefined) global.display.set_cursor(Meta.Cursor.DEFAULT);
+        this._actor.destroy();
+        this._actor = null;
+
+        const onDone = this._onDone;
+        this._onDone = null;
+        if (onDone) onDone(window);
+    }
+
+    // The topmost window of the active workspace under the given stage
+    // coordinates, or null over the desktop.
+    _windowAt(x, y) {
+        const windows = global.workspace_manager.get_active_workspace().list_windows()
+            .filter(window => !window.minimized && !window.is_override_redirect());
+
+        return global.display.sort_windows_by_stacking(windows).reverse().find(window => {
+            const rect = window.get_frame_rect();
+            return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+        }) || null;
+    }
+
+    // Handles a request written to pick-window-request by prefs.js:
+    // { action: 'pick' }.
+    _handleRequest() {
+        const settings = this._extension._settings;
+        if (!settings) return;
+
+        const raw = settings.get_string('pick-window-request');
+        if (!raw) return;
+
+        let request = null;
+        try {
+            request = JSON.parse(raw);
+        } catch (e) {
+            request = null;
+        }
+        if (!request || request.status || request.action !== 'pick') return;
+
+        const reply = (status, fields = {}) => {
+            settings.set_string('pick-window-request', JSON.stringify({ status, action: request.action, ...fields }));
+        };
+
+        const started = this.pick(window => {
+            if (!window) {
+                reply('cancelled');
+                return;
+            }
+            const facts = windowFacts(window);
+            reply('picked', {
+                wm_class: facts.wm_class || '',
+                title: facts.title || '',
+                app_id: facts.app_ids[0] || '',
+                window_type: facts.window_type,
+            });
+        });
+        reply(started ? 'picking' : 'busy');
+    }
+}